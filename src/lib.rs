@@ -1,9 +1,10 @@
 mod utils;
+mod rng;
 pub mod mine_sweeper_cell;
 
 use wasm_bindgen::prelude::*;
 use mine_sweeper_cell::{Cell, CellState, CellKind};
-use js_sys::Math::{random, floor};
+use rng::Rng;
 use std::collections::HashSet;
 use std::fmt;
 
@@ -24,6 +25,21 @@ macro_rules! log {
 
 
 
+/// the rules that decide when a game is won or lost
+/// `RevealAll` - the classic rules: won once every cell without a mine is revealed, flags are optional. Lost if a
+///               mine is revealed
+/// `FlagAll` - won once every mine is flagged. Lost if a mine is revealed, or once the last flag is placed while
+///             any flag is wrong
+/// `Strict` - won once every cell without a mine is revealed. Lost if a mine is revealed or any flag is wrong
+#[wasm_bindgen]
+#[repr(u8)]
+#[derive(Clone, Copy, Debug, PartialEq, Eq)]
+pub enum RuleSet {
+    RevealAll   = 0,
+    FlagAll     = 1,
+    Strict      = 2,
+}
+
 /// MineSweeper Game state
 /// This struct contains a 2D grid of minesweeper cells stored as a row-major 1D vector
 #[wasm_bindgen]
@@ -31,6 +47,10 @@ pub struct Minesweeper {
     grid: Vec<Cell>,
     num_rows: usize,
     num_cols: usize,
+    num_mines: usize,
+    seed: u32,
+    rng: Rng,
+    rules: RuleSet,
 }
 
 
@@ -48,9 +68,9 @@ impl Minesweeper {
     }
 
     /// shuffle the elements in a vector using Knuth's shuffle
-    fn shuffle(v: &mut Vec<usize>) {
+    fn shuffle(v: &mut Vec<usize>, rng: &mut Rng) {
         for i in (1..v.len()).rev() {
-            let ridx = floor( random() * i as f64) as usize;
+            let ridx = rng.gen_index(i);
             v.swap(i, ridx);
         }
     }
@@ -58,10 +78,10 @@ impl Minesweeper {
     /// Generates `count` amount of random grid indices ranging from 0..`len` and returns them
     /// in a Vector<usize>
     /// `len` is the max index value (exclusive) to use for generating indices
-    fn gen_rand_grid_indices(len: usize, count: usize) -> Vec<usize> {
+    fn gen_rand_grid_indices(len: usize, count: usize, rng: &mut Rng) -> Vec<usize> {
         // build a vec of all grid indices in row major form and shuffle them
         let mut grid_indices: Vec<usize> = (0..len).map(|i| i).collect();
-        Minesweeper::shuffle( &mut grid_indices );
+        Minesweeper::shuffle( &mut grid_indices, rng );
         grid_indices.into_iter().take(count).collect()
     }
 
@@ -99,15 +119,15 @@ impl Minesweeper {
     /// are "lone cells". Lone cells are cells that are not adjacent to any mines
     /// This function is essentially an implementation of flood fill algorithm using depth first search
     fn connected_lone_cell_indices(&self, index: usize) -> Vec<usize> {
-        let mut visited = vec![];         // cells already visited
-        let mut to_visit = vec![ index ]; // cells left to visit
-        let mut connected_ndxs = vec![];  // holds the connected cell indices
+        let mut visited = vec![false; self.grid.len()]; // cells already visited
+        let mut to_visit = vec![ index ];               // cells left to visit
+        let mut connected_ndxs = vec![];                // holds the connected cell indices
 
         while !to_visit.is_empty() {
             // current index being visited
             let cur_ndx = to_visit.pop().unwrap();
 
-            if visited.contains(&cur_ndx) {
+            if visited[cur_ndx] {
                 continue;
             } else {
                 // add lone cell's index to the list of connected cell indices
@@ -116,7 +136,7 @@ impl Minesweeper {
                 }
 
                 // mark the current cell as visited
-                visited.push(cur_ndx);
+                visited[cur_ndx] = true;
 
                 // build a list of "lone" cells adjacent to the current cell
                 let mut adj_ndxs = Minesweeper::adjacent_indices(self.num_rows, self.num_cols, cur_ndx)
@@ -166,34 +186,114 @@ impl Minesweeper {
     /// ////////////////////////////////////////////////////////////////////////////////////////
     /// MineSweeperGame Trait Impl
 
-    /// initialize a new MineSweeper grid with the specified rows and columns
+    /// initialize a new MineSweeper grid with the specified rows, columns and number of mines
     /// This function will generate random mine locations and compute the adjacent mine counts
-    /// for every cell in the grid
-    pub fn init(num_rows: usize, num_cols: usize) -> Minesweeper {
+    /// for every cell in the grid. `num_mines` is capped at the number of cells in the grid.
+    /// Mine locations are generated from `seed`, the same seed always produces the same mine layout
+    pub fn init(num_rows: usize, num_cols: usize, num_mines: usize, seed: u32) -> Minesweeper {
         let mut grid = Minesweeper::empty_grid(num_rows, num_cols);
+        let mut rng = Rng::new(seed);
 
         // generate random mine locations
-        let total_mines = ((num_rows * num_cols) as f32 * 0.15f32).round() as usize;
-        let mine_ndxs = Minesweeper::gen_rand_grid_indices(num_rows * num_cols, total_mines);
+        let total_mines = num_mines.min(num_rows * num_cols);
+        let mine_ndxs = Minesweeper::gen_rand_grid_indices(num_rows * num_cols, total_mines, &mut rng);
         for index in mine_ndxs.iter() {
             grid[*index] = Cell::new(CellKind::Mine);
         }
 
-        // compute the adjacent mine counts for every cell that contains a mine
-        for index in mine_ndxs.iter() {
-            for adj_ndx in Minesweeper::adjacent_indices(num_rows, num_cols, *index) {
-                let cur_count = grid[adj_ndx].adj_mine_count() + 1;
-                grid[adj_ndx].set_adj_mine_count(cur_count);
-            }
-        }
+        let mut minesweeper = Minesweeper {
+            grid,
+            num_rows,
+            num_cols,
+            num_mines: total_mines,
+            seed,
+            rng,
+            rules: RuleSet::FlagAll,
+        };
+        minesweeper.compute_adj_mine_counts();
+        minesweeper
+    }
 
-        Minesweeper {
+    /// initialize a MineSweeper grid with mines at the given locations, i.e. to restore a saved grid.
+    /// All cells are hidden and the adjacent mine counts are computed from the mine locations.
+    /// `seed` is only used for later random choices (see `make_safe_start`)
+    pub fn from_mines(num_rows: usize, num_cols: usize, mine_ndxs: &[u32], seed: u32) -> Minesweeper {
+        let mut grid = Minesweeper::empty_grid(num_rows, num_cols);
+        for &index in mine_ndxs.iter() {
+            grid[index as usize] = Cell::new(CellKind::Mine);
+        }
+        let mut minesweeper = Minesweeper {
             grid,
             num_rows,
             num_cols,
+            num_mines: 0,
+            seed,
+            rng: Rng::new(seed),
+            rules: RuleSet::FlagAll,
+        };
+        minesweeper.num_mines = minesweeper.mine_indices().len();
+        minesweeper.compute_adj_mine_counts();
+        minesweeper
+    }
+
+    /// returns the indices of all mined cells, in ascending order
+    pub fn mines(&self) -> Vec<u32> {
+        self.mine_indices().into_iter().map(|ndx| ndx as u32).collect()
+    }
+
+    /// computes the adjacent mine counts for every cell in the grid, based on the current mine locations
+    fn compute_adj_mine_counts(&mut self) {
+        for cell in self.grid.iter_mut() {
+            cell.set_adj_mine_count(0);
+        }
+        for index in self.mine_indices() {
+            for adj_ndx in Minesweeper::adjacent_indices(self.num_rows, self.num_cols, index) {
+                let cur_count = self.grid[adj_ndx].adj_mine_count() + 1;
+                self.grid[adj_ndx].set_adj_mine_count(cur_count);
+            }
         }
     }
 
+    /// makes the cell at `index` safe to reveal by moving any mine on it to a random empty cell. If `safe_area` is
+    /// `true`, the cells adjacent to `index` are also cleared of mines, unless there aren't enough empty cells
+    /// left elsewhere on the grid to hold them, in which case only the cell at `index` is cleared.
+    /// The new mine locations are drawn from the grid's seeded generator, so the final layout only depends on the
+    /// seed and `index`.
+    /// The adjacent mine counts of every cell are recomputed afterwards
+    pub fn make_safe_start(&mut self, index: usize, safe_area: bool) {
+        let mut safe_ndxs = vec![ index ];
+        if safe_area {
+            safe_ndxs.append(&mut Minesweeper::adjacent_indices(self.num_rows, self.num_cols, index));
+        }
+        let free_ndxs = |safe_ndxs: &Vec<usize>| -> Vec<usize> {
+            (0..self.grid.len())
+                .filter(|ndx| !safe_ndxs.contains(ndx) && !self.grid[*ndx].is_mined())
+                .collect()
+        };
+
+        let mut mined_safe_ndxs: Vec<usize> = safe_ndxs.iter()
+            .filter(|&&ndx| self.grid[ndx].is_mined())
+            .cloned()
+            .collect();
+        let mut free = free_ndxs(&safe_ndxs);
+        if free.len() < mined_safe_ndxs.len() {
+            // not enough room to clear the whole area, so only clear the cell itself
+            safe_ndxs.truncate(1);
+            mined_safe_ndxs.retain(|&ndx| ndx == index);
+            free = free_ndxs(&safe_ndxs);
+        }
+        if mined_safe_ndxs.is_empty() || free.len() < mined_safe_ndxs.len() {
+            return;
+        }
+
+        Minesweeper::shuffle(&mut free, &mut self.rng);
+        for (&from, &to) in mined_safe_ndxs.iter().zip(free.iter()) {
+            self.grid[from].set_kind(CellKind::Empty);
+            self.grid[to].set_kind(CellKind::Mine);
+        }
+        self.compute_adj_mine_counts();
+    }
+
     /// returns the locations on the grid where mines are located
     /// # Returns
     /// a Vector of usize where each element is the index of a mine on the grid
@@ -204,12 +304,32 @@ impl Minesweeper {
             .collect::<Vec<usize>>()
     }
 
-    /// compute the total number of mines that that a grid should contain based on the number
+    /// compute the default number of mines that a grid should contain based on the number
     /// of rows and columns
-    /// Total mines on a grid is 15% * the number of cells i.e.:
+    /// The default is 15% * the number of cells i.e.:
     ///     `TOTAL_MINES = grid.num_rows * grid.mum_columns * 0.15`
+    pub fn default_mine_count(num_rows: usize, num_cols: usize) -> usize {
+        ((num_rows * num_cols) as f32 * 0.15f32).round() as usize
+    }
+
+    /// returns the total number of mines on the grid
     pub fn total_mines(&self) -> usize {
-        ((self.num_rows * self.num_cols) as f32 * 0.15f32).round() as usize
+        self.num_mines
+    }
+
+    /// returns the seed the grid's mine locations were generated from
+    pub fn seed(&self) -> u32 {
+        self.seed
+    }
+
+    /// returns the rules that decide when the game is won or lost, `RuleSet::FlagAll` unless they were set
+    pub fn rules(&self) -> RuleSet {
+        self.rules
+    }
+
+    /// sets the rules that decide when the game is won or lost
+    pub fn set_rules(&mut self, rules: RuleSet) {
+        self.rules = rules;
     }
 
     /// computes the remaining number of flags that can be placed by the player
@@ -218,7 +338,7 @@ impl Minesweeper {
     pub fn remaining_flags(&self) -> usize {
         let flagged = self.grid
             .iter().filter(|cell| cell.is_flagged()).count();
-        self.total_mines() - flagged
+        self.total_mines().saturating_sub(flagged)
     }
 
     /// reveals a cell at the specified index
@@ -236,7 +356,9 @@ impl Minesweeper {
     }
 
     /// reveals all "lone" cells that are connected to the cell at `index`
-    /// A lone cell is a cell that is empty and not connected to any adjacent mines
+    /// A lone cell is a cell that is empty and not connected to any adjacent mines.
+    /// The flood fill already finds every connected lone cell, so the cells are revealed directly rather than
+    /// through `reveal_cell`, which would flood fill again from each of them
     fn reveal_lone_cells(&mut self, index: usize) {
         let connected_ndxs = self.connected_lone_cell_indices(index);
 
@@ -246,12 +368,31 @@ impl Minesweeper {
             .flat_map(|ndx| Minesweeper::adjacent_indices(self.num_rows, self.num_cols, *ndx))
             .collect();
 
-        for ndx in connected_ndxs {
-            self.reveal_cell(ndx);
+        for ndx in connected_ndxs.into_iter().chain(adj_perimeter_cells) {
+            self.grid[ndx].set_state(CellState::Revealed);
+        }
+    }
+
+    /// "chords" the revealed cell at `index`: if the number of flagged cells adjacent to it equals its
+    /// adjacent mine count, then all of its adjacent cells that are not flagged are revealed.
+    /// If any of those flags were wrong, a mine is revealed and the game is lost as usual
+    /// # Returns
+    /// `true` if the chord was performed, `false` if the cell is not revealed or its flag count is not satisfied
+    pub fn chord_cell(&mut self, index: usize) -> bool {
+        if !self.grid[index].is_revealed() {
+            return false;
         }
-        for ndx in adj_perimeter_cells {
-            self.reveal_cell(ndx);
+        let adj_ndxs = Minesweeper::adjacent_indices(self.num_rows, self.num_cols, index);
+        let adj_flags = adj_ndxs.iter().filter(|&&ndx| self.grid[ndx].is_flagged()).count();
+        if adj_flags != self.grid[index].adj_mine_count() as usize {
+            return false;
         }
+        for ndx in adj_ndxs {
+            if !self.grid[ndx].is_flagged() {
+                self.reveal_cell(ndx);
+            }
+        }
+        true
     }
 
     /// sets the cell's state to flagged if it is currently Hidden, else sets the cell's state
@@ -278,6 +419,11 @@ impl Minesweeper {
         }
     }
 
+    /// sets a cell's state, regardless of its current state. Used to restore cell states, i.e. when a move is undone
+    pub fn set_cell_state(&mut self, index: usize, state: CellState) {
+        self.grid[index].set_state(state);
+    }
+
     /// sets a cell's state to `CellState::Flagged` if the cell is not already revealed
     pub fn flag_cell(&mut self, index: usize) {
         if !self.grid[index].is_revealed() {
@@ -311,28 +457,45 @@ impl Minesweeper {
         !self.grid[index].is_flagged() && self.grid[index].is_mined()
     }
 
-    /// determines if a game of minesweeper has been won.
-    /// A game is won if all mined cells have been correctly flagged
+    /// determines if a game of minesweeper has been won, by the game's rules (see `RuleSet`).
+    /// With `RuleSet::FlagAll` a game is won if all mined cells have been correctly flagged, with the other rules it
+    /// is won if every cell without a mine has been revealed
     /// # Returns
     /// `true` if the game is won, `false` if the game is not yet won
     pub fn is_game_won(&self) -> bool {
-        self.mine_indices()
-            .iter()
-            .all(|&i| self.grid[i].is_flagged() )
+        match self.rules {
+            RuleSet::FlagAll => self.mine_indices()
+                .iter()
+                .all(|&i| self.grid[i].is_flagged() ),
+            RuleSet::RevealAll | RuleSet::Strict => !self.is_mine_revealed() && self.grid
+                .iter()
+                .all(|cell| cell.is_mined() || cell.is_revealed() ),
+        }
     }
 
-    /// determines if a game of minesweeper is lost.
-    /// A game is lost if a mined cell was revealed OR once the last flagged was placed but at
-    /// least one of the mined cells was left un-flagged
+    /// determines if a game of minesweeper is lost, by the game's rules (see `RuleSet`).
+    /// A game is lost if a mined cell was revealed. With `RuleSet::FlagAll` it is also lost once the last flag was
+    /// placed but at least one of the mined cells was left un-flagged, with `RuleSet::Strict` as soon as a cell
+    /// without a mine is flagged
     /// # Returns
     /// `true` if the game is lost, else `false`
     pub fn is_game_lost(&self) -> bool {
-        let mine_revealed = self.mine_indices()
-            .iter()
-            .any(|&i| self.grid[i].is_revealed() );
         // are there any empty cells flagged
-        let mis_flagged = self.grid.iter().any(|cell| cell.is_flagged() && !cell.is_mined());
-        mine_revealed || (self.remaining_flags() == 0 && mis_flagged)
+        let mis_flagged = || self.grid.iter().any(|cell| cell.is_flagged() && !cell.is_mined());
+        self.is_mine_revealed() || match self.rules {
+            RuleSet::RevealAll => false,
+            RuleSet::FlagAll => self.remaining_flags() == 0 && mis_flagged(),
+            RuleSet::Strict => mis_flagged(),
+        }
+    }
+
+    /// is any mined cell revealed, i.e. was a lost game lost by revealing a mine rather than by a wrong flag
+    /// # Returns
+    /// `true` if a mined cell is revealed, else `false`
+    pub fn is_mine_revealed(&self) -> bool {
+        self.mine_indices()
+            .iter()
+            .any(|&i| self.grid[i].is_revealed() )
     }
 
 }
@@ -0,0 +1,29 @@
+/// A small, seedable pseudo random number generator (Mulberry32).
+/// Minesweeper boards are generated with this generator so that the same seed always produces
+/// the same mine layout
+#[derive(Clone, Debug)]
+pub struct Rng {
+    state: u32,
+}
+
+impl Rng {
+
+    /// create a new generator from a 32-bit seed
+    pub fn new(seed: u32) -> Rng {
+        Rng { state: seed }
+    }
+
+    /// returns the next pseudo random u32
+    pub fn next_u32(&mut self) -> u32 {
+        self.state = self.state.wrapping_add(0x6D2B_79F5);
+        let mut t = self.state;
+        t = (t ^ (t >> 15)).wrapping_mul(t | 1);
+        t ^= t.wrapping_add((t ^ (t >> 7)).wrapping_mul(t | 61));
+        t ^ (t >> 14)
+    }
+
+    /// returns a pseudo random index in the range `0..bound`
+    pub fn gen_index(&mut self, bound: usize) -> usize {
+        ((self.next_u32() as f64 / 4_294_967_296.0) * bound as f64) as usize
+    }
+}
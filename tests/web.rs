@@ -4,10 +4,247 @@
 
 extern crate wasm_bindgen_test;
 use wasm_bindgen_test::*;
+use wasm_minesweeper::{Minesweeper, RuleSet};
+use wasm_minesweeper::mine_sweeper_cell::{CellKind, CellState};
 
 wasm_bindgen_test_configure!(run_in_browser);
 
+/// returns the index of every mined cell, read from the grid's debug output
+fn mine_indices(ms: &Minesweeper) -> Vec<usize> {
+    ms.debug().split_whitespace()
+        .enumerate()
+        .filter(|(_, cell)| *cell == "\u{25CF}")
+        .map(|(ndx, _)| ndx)
+        .collect()
+}
+
+/// returns true if the cell at `index` is shown as revealed in the grid's rendered output
+fn is_revealed(ms: &Minesweeper, index: usize) -> bool {
+    let cell = ms.render().split_whitespace().nth(index).unwrap().to_string();
+    cell != "\u{25A1}" && cell != "?" && cell != "\u{2691}"
+}
+
 #[wasm_bindgen_test]
 fn pass() {
     assert_eq!(1 + 1, 2);
 }
+
+#[wasm_bindgen_test]
+fn init_places_requested_number_of_mines() {
+    let ms = Minesweeper::init(16, 30, 99, 1);
+    assert_eq!(ms.total_mines(), 99);
+    assert_eq!(ms.render().matches('\u{25CF}').count(), 0);
+    assert_eq!(ms.debug().matches('\u{25CF}').count(), 99);
+}
+
+#[wasm_bindgen_test]
+fn init_caps_mines_at_grid_size() {
+    let ms = Minesweeper::init(8, 8, 100, 1);
+    assert_eq!(ms.total_mines(), 64);
+}
+
+#[wasm_bindgen_test]
+fn default_mine_count_is_fifteen_percent() {
+    assert_eq!(Minesweeper::default_mine_count(8, 8), 10);
+    assert_eq!(Minesweeper::default_mine_count(20, 20), 60);
+}
+
+#[wasm_bindgen_test]
+fn safe_start_clears_the_first_revealed_cell() {
+    // every cell but one is mined, so the mine on cell 0 must move to the only empty cell
+    let mut ms = Minesweeper::init(8, 8, 63, 7);
+    ms.make_safe_start(0, false);
+    ms.reveal_cell(0);
+    assert!(!ms.is_game_lost());
+    assert_eq!(ms.debug().matches('\u{25CF}').count(), 63);
+}
+
+#[wasm_bindgen_test]
+fn safe_start_can_clear_the_surrounding_area() {
+    let mut ms = Minesweeper::init(9, 9, 40, 42);
+    let center = ms.to_1d(4, 4);
+    ms.make_safe_start(center, true);
+    // the center has no adjacent mines, so revealing it also reveals all of its neighbours
+    ms.reveal_cell(center);
+    assert!(!ms.is_game_lost());
+    assert_eq!(ms.debug().matches('\u{25CF}').count(), 40);
+}
+
+#[wasm_bindgen_test]
+fn same_seed_produces_same_layout() {
+    let first = Minesweeper::init(16, 16, 40, 1234);
+    let second = Minesweeper::init(16, 16, 40, 1234);
+    let other = Minesweeper::init(16, 16, 40, 4321);
+    assert_eq!(first.seed(), 1234);
+    assert_eq!(first.debug(), second.debug());
+    assert_ne!(first.debug(), other.debug());
+}
+
+#[wasm_bindgen_test]
+fn same_seed_and_first_click_produce_same_safe_start() {
+    let mut first = Minesweeper::init(9, 9, 40, 99);
+    let mut second = Minesweeper::init(9, 9, 40, 99);
+    first.make_safe_start(40, true);
+    second.make_safe_start(40, true);
+    assert_eq!(first.debug(), second.debug());
+}
+
+#[wasm_bindgen_test]
+fn chord_reveals_neighbours_of_a_satisfied_number() {
+    let mut ms = Minesweeper::init(8, 8, 1, 3);
+    let mine = mine_indices(&ms)[0];
+    // pick a neighbour of the mine that is not on the grid's edge so that it has 8 neighbours
+    let number = if mine % 8 < 4 { mine + 1 } else { mine - 1 };
+    let number = if number / 8 < 4 { number + 8 } else { number - 8 };
+    ms.reveal_cell(number);
+    assert!(!ms.chord_cell(number));
+    ms.toggle_flag(mine);
+    assert!(ms.chord_cell(number));
+    assert!(!ms.is_game_lost());
+    assert!(!is_revealed(&ms, mine));
+    assert_eq!(ms.render().split_whitespace().filter(|c| *c != "\u{25A1}" && *c != "\u{2691}").count(), 63);
+}
+
+#[wasm_bindgen_test]
+fn chord_with_a_wrong_flag_loses_the_game() {
+    let mut ms = Minesweeper::init(8, 8, 1, 3);
+    let mine = mine_indices(&ms)[0];
+    let number = if mine % 8 < 4 { mine + 1 } else { mine - 1 };
+    let wrong = if number / 8 < 4 { number + 8 } else { number - 8 };
+    ms.reveal_cell(number);
+    ms.toggle_flag(wrong);
+    assert!(ms.chord_cell(number));
+    assert!(is_revealed(&ms, mine));
+    assert!(ms.is_game_lost());
+    assert!(ms.is_mine_revealed());
+}
+
+#[wasm_bindgen_test]
+fn set_cell_state_restores_a_revealed_cell() {
+    let mut ms = Minesweeper::init(8, 8, 10, 5);
+    let hidden = ms.render();
+    ms.reveal_cell(0);
+    for index in 0..64 {
+        ms.set_cell_state(index, CellState::Hidden);
+    }
+    assert_eq!(ms.render(), hidden);
+}
+
+#[wasm_bindgen_test]
+fn from_mines_restores_a_layout() {
+    let original = Minesweeper::init(10, 12, 20, 77);
+    let restored = Minesweeper::from_mines(10, 12, &original.mines(), 77);
+    assert_eq!(restored.total_mines(), 20);
+    assert_eq!(restored.mines(), original.mines());
+    assert_eq!(restored.debug(), original.debug());
+}
+
+#[wasm_bindgen_test]
+fn reveal_cascades_across_a_large_grid() {
+    let mut ms = Minesweeper::from_mines(200, 200, &[39_999], 1);
+    ms.reveal_cell(0);
+    let hidden: Vec<usize> = ms.render().split_whitespace().enumerate()
+        .filter(|(_index, cell)| *cell == "\u{25A1}")
+        .map(|(index, _cell)| index)
+        .collect();
+    assert_eq!(hidden, vec![39_999]);
+    assert!(!ms.is_game_lost());
+}
+
+/// the cells as MinesweeperState reads them from wasm memory: `cell_size()` bytes per cell, in row major order
+fn cell_bytes(ms: &Minesweeper, len: usize) -> &[u8] {
+    unsafe { std::slice::from_raw_parts(ms.cells() as *const u8, len * Minesweeper::cell_size()) }
+}
+
+#[wasm_bindgen_test]
+fn cells_are_state_kind_and_adjacent_mine_count_bytes() {
+    let mut ms = Minesweeper::from_mines(3, 3, &[0], 1);
+    ms.toggle_flag(0);
+    assert_eq!(Minesweeper::cell_size(), 3);
+    let bytes = cell_bytes(&ms, 9);
+    assert_eq!(&bytes[0..3], &[CellState::Flagged as u8, CellKind::Mine as u8, 0]);
+    assert_eq!(&bytes[12..15], &[CellState::Hidden as u8, CellKind::Empty as u8, 1]);
+    assert_eq!(&bytes[24..27], &[CellState::Hidden as u8, CellKind::Empty as u8, 0]);
+}
+
+#[wasm_bindgen_test]
+fn cells_stay_at_the_same_address_after_moves() {
+    let mut ms = Minesweeper::from_mines(3, 3, &[0], 1);
+    let cells = ms.cells();
+    ms.reveal_cell(8);
+    ms.toggle_flag(0);
+    assert_eq!(ms.cells(), cells);
+    assert_eq!(cell_bytes(&ms, 9)[8 * 3], CellState::Revealed as u8);
+}
+
+/// a 3x3 grid with a single mine in its top left corner, played by `rules`
+fn corner_mine_grid(rules: RuleSet) -> Minesweeper {
+    let mut ms = Minesweeper::from_mines(3, 3, &[0], 1);
+    ms.set_rules(rules);
+    ms
+}
+
+#[wasm_bindgen_test]
+fn rules_default_to_flag_all() {
+    assert_eq!(Minesweeper::init(8, 8, 10, 1).rules(), RuleSet::FlagAll);
+    assert_eq!(Minesweeper::from_mines(3, 3, &[0], 1).rules(), RuleSet::FlagAll);
+}
+
+#[wasm_bindgen_test]
+fn flag_all_is_won_by_flagging_every_mine() {
+    let mut ms = corner_mine_grid(RuleSet::FlagAll);
+    ms.reveal_cell(8);
+    assert!(!ms.is_game_won());
+    ms.toggle_flag(0);
+    assert!(ms.is_game_won());
+}
+
+#[wasm_bindgen_test]
+fn flag_all_is_lost_when_the_last_flag_is_wrong() {
+    let mut ms = corner_mine_grid(RuleSet::FlagAll);
+    ms.toggle_flag(4);
+    assert!(ms.is_game_lost());
+    assert!(!ms.is_mine_revealed());
+}
+
+#[wasm_bindgen_test]
+fn reveal_all_is_won_by_revealing_every_safe_cell_without_flags() {
+    let mut ms = corner_mine_grid(RuleSet::RevealAll);
+    ms.toggle_flag(0);
+    assert!(!ms.is_game_won());
+    ms.toggle_flag(0);
+    ms.reveal_cell(8);
+    assert!(ms.is_game_won());
+    assert!(!ms.is_game_lost());
+}
+
+#[wasm_bindgen_test]
+fn reveal_all_ignores_wrong_flags() {
+    let mut ms = corner_mine_grid(RuleSet::RevealAll);
+    ms.toggle_flag(4);
+    assert!(!ms.is_game_lost());
+    ms.reveal_cell(0);
+    assert!(ms.is_game_lost());
+    assert!(!ms.is_game_won());
+}
+
+#[wasm_bindgen_test]
+fn strict_is_lost_by_any_wrong_flag() {
+    let mut ms = Minesweeper::from_mines(3, 3, &[0, 2], 1);
+    ms.set_rules(RuleSet::Strict);
+    ms.toggle_flag(0);
+    assert!(!ms.is_game_lost());
+    // one flag is still left, which would not lose a flag-all game
+    ms.toggle_flag(4);
+    assert!(ms.is_game_lost());
+    assert!(!ms.is_mine_revealed());
+}
+
+#[wasm_bindgen_test]
+fn strict_is_won_by_revealing_every_safe_cell() {
+    let mut ms = corner_mine_grid(RuleSet::Strict);
+    ms.toggle_flag(0);
+    ms.reveal_cell(8);
+    assert!(ms.is_game_won());
+    assert!(!ms.is_game_lost());
+}
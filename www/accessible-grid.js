@@ -0,0 +1,198 @@
+/**
+ * Keyboard and screen reader access to a minesweeper board. An AccessibleGrid maintains a visually hidden ARIA grid
+ * (role="grid") that parallels the canvas. Only the cell under the cursor is in the DOM: a single row holding a single
+ * gridcell that roves with the cursor, placed in the full grid by aria-rowindex / aria-colindex (and aria-rowcount /
+ * aria-colcount), so a board of any size costs two elements. The gridcell is labelled with its position and state,
+ * and kept in sync with the game through the GameController's events. The ARIA grid is the board's keyboard focus
+ * target with the gridcell as its aria-activedescendant, the cell under the cursor is drawn on the canvas as a cursor
+ * by the CanvasView.
+ *
+ * Keys:
+ *      Arrow keys / WASD   move the cursor
+ *      Home / End          move the cursor to the first / last cell of its row
+ *      Enter / Space       reveal the cell
+ *      F                   flag the cell
+ *      Q                   question the cell
+ *      C                   chord the cell
+ *      H                   ask for a hint, the cursor moves to the hinted cell
+ * Game outcomes (and the result of each keyboard move) are announced through a live region.
+ */
+
+import {GameAction} from "./game-controller";
+import {describeGameOverCell} from "./canvas-view";
+
+// direction (row delta, col delta) of each cursor movement key
+const MOVE_KEYS = {
+    ArrowUp: [-1, 0], w: [-1, 0], W: [-1, 0],
+    ArrowDown: [1, 0], s: [1, 0], S: [1, 0],
+    ArrowLeft: [0, -1], a: [0, -1], A: [0, -1],
+    ArrowRight: [0, 1], d: [0, 1], D: [0, 1],
+};
+
+// GameAction performed by each action key
+const ACTION_KEYS = {
+    "Enter": GameAction.Reveal, " ": GameAction.Reveal,
+    "f": GameAction.Flag, "F": GameAction.Flag,
+    "q": GameAction.Question, "Q": GameAction.Question,
+    "c": GameAction.Chord, "C": GameAction.Chord,
+};
+
+class AccessibleGrid {
+
+    /**
+     * @param gridElement - element that becomes the ARIA grid, it should be visually hidden
+     * @param liveRegion - element that becomes the live region announcing game outcomes
+     * @param controller - GameController of the board
+     * @param view - CanvasView of the board, it draws the cursor
+     * @param idPrefix - unique prefix for the id of the gridcell
+     */
+    constructor(gridElement, liveRegion, controller, view, idPrefix) {
+        this.grid = gridElement;
+        this.liveRegion = liveRegion;
+        this.controller = controller;
+        this.view = view;
+        this.cursor = {row: 0, col: 0};
+
+        gridElement.setAttribute("role", "grid");
+        gridElement.setAttribute("tabindex", "0");
+        gridElement.setAttribute("aria-label", "Minesweeper board");
+        this.rowElement = document.createElement("div");
+        this.rowElement.setAttribute("role", "row");
+        this.cellElement = document.createElement("div");
+        this.cellElement.setAttribute("role", "gridcell");
+        this.cellElement.setAttribute("aria-selected", "true");
+        this.cellElement.id = `${idPrefix}-cell`;
+        this.rowElement.appendChild(this.cellElement);
+        gridElement.setAttribute("aria-activedescendant", this.cellElement.id);
+        liveRegion.setAttribute("role", "status");
+        liveRegion.setAttribute("aria-live", "polite");
+
+        this.keyDownListener = this.keyDownListener.bind(this);
+        gridElement.addEventListener("keydown", this.keyDownListener);
+        gridElement.addEventListener("focus", () => this.view.setCursor(this.cursor));
+        gridElement.addEventListener("blur", () => this.view.setCursor(undefined));
+
+        this.unsubscribers = [
+            controller.on('newGame', ({state}) => this.buildGrid(state)),
+            controller.on('move', ({changed}) => {
+                if (changed.includes(controller.state.to_1d(this.cursor.row, this.cursor.col))) this.updateLabel();
+            }),
+            // the label of a cell describes the end of the game while it is over
+            controller.on('gameResumed', () => this.updateLabel()),
+            controller.on('gameWon', () => {
+                this.updateLabel();
+                this.announce("You won!");
+            }),
+            controller.on('gameLost', () => {
+                this.updateLabel();
+                // with the "flagAll" and "strict" rules a wrong flag also loses the game
+                this.announce(controller.state.isMineRevealed()
+                    ? "You lost! You revealed a mine."
+                    : "You lost! A square without a mine was flagged.");
+            }),
+        ];
+    }
+
+    /**
+     * sizes the ARIA grid for a new game and puts its gridcell under the cursor
+     * @param minesweeper - MinesweeperState of the new game
+     */
+    buildGrid(minesweeper) {
+        this.grid.replaceChildren(this.rowElement);
+        this.grid.setAttribute("aria-rowcount", minesweeper.num_rows);
+        this.grid.setAttribute("aria-colcount", minesweeper.num_cols);
+        this.announce("");
+        // keep the cursor within the new grid
+        this.moveCursor(
+            Math.min(this.cursor.row, minesweeper.num_rows - 1),
+            Math.min(this.cursor.col, minesweeper.num_cols - 1));
+    }
+
+    /**
+     * builds the spoken label of a cell, i.e. "row 3 column 5, revealed, 2 adjacent mines". Once the game is over the
+     * label tells what the cell was and what the player did with it, see describeGameOverCell
+     * @returns {string} the cell's label
+     */
+    cellLabel(row, col) {
+        const minesweeper = this.controller.state;
+        if (this.controller.isGameOver) return describeGameOverCell(minesweeper, row, col);
+        const position = `row ${row + 1} column ${col + 1}`;
+        if (minesweeper.isFlaggedCell(row, col)) return `${position}, flagged`;
+        if (minesweeper.isQuestionedCell(row, col)) return `${position}, questioned`;
+        if (minesweeper.isHiddenCell(row, col)) return `${position}, hidden`;
+        if (minesweeper.isMinedCell(row, col)) return `${position}, revealed, mine`;
+        const count = minesweeper.cellAdjMineCount(row, col);
+        return `${position}, revealed, ${count} adjacent ${count === 1 ? "mine" : "mines"}`;
+    }
+
+    /**
+     * updates the label of the gridcell from the current state of the cell under the cursor
+     */
+    updateLabel() {
+        this.cellElement.setAttribute("aria-label", this.cellLabel(this.cursor.row, this.cursor.col));
+    }
+
+    /**
+     * moves the cursor to a cell, moving the gridcell to it and the cursor drawn on the canvas
+     */
+    moveCursor(row, col) {
+        this.cursor = {row, col};
+        this.rowElement.setAttribute("aria-rowindex", row + 1);
+        this.cellElement.setAttribute("aria-colindex", col + 1);
+        this.updateLabel();
+        if (document.activeElement === this.grid) {
+            this.view.setCursor(this.cursor);
+        }
+    }
+
+    /**
+     * moves the cursor with the movement keys and performs moves with the action keys
+     * @param event - keydown event on the grid element
+     */
+    keyDownListener(event) {
+        if (event.ctrlKey || event.altKey || event.metaKey) return;
+        const {num_rows, num_cols} = this.controller.state;
+        const {row, col} = this.cursor;
+
+        if (MOVE_KEYS[event.key]) {
+            const [dr, dc] = MOVE_KEYS[event.key];
+            this.moveCursor(
+                Math.min(Math.max(row + dr, 0), num_rows - 1),
+                Math.min(Math.max(col + dc, 0), num_cols - 1));
+        } else if (event.key === "Home") {
+            this.moveCursor(row, 0);
+        } else if (event.key === "End") {
+            this.moveCursor(row, num_cols - 1);
+        } else if (event.key === "h" || event.key === "H") {
+            const hint = this.controller.hint();
+            if (hint) this.moveCursor(hint.row, hint.col);
+            this.announce(hint ? "" : "No hint available");
+        } else if (ACTION_KEYS[event.key]) {
+            this.controller.applyMove(ACTION_KEYS[event.key], row, col);
+            if (!this.controller.isGameOver) {
+                this.announce(this.cellLabel(row, col));
+            }
+        } else {
+            return;
+        }
+        event.preventDefault();
+    }
+
+    /**
+     * announces a message through the live region
+     * @param message - text to announce
+     */
+    announce(message) {
+        this.liveRegion.textContent = message;
+    }
+
+    /**
+     * stops listening to the controller and the grid element
+     */
+    dispose() {
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.grid.removeEventListener("keydown", this.keyDownListener);
+    }
+}
+
+export {AccessibleGrid};
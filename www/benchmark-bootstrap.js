@@ -0,0 +1,6 @@
+// Like bootstrap.js, the benchmark's dependency graph contains wasm and must be imported asynchronously
+import("./benchmark.js")
+  .catch(e => {
+    console.error("Error running the benchmark:", e);
+    process.exitCode = 1;
+  });
@@ -0,0 +1,72 @@
+/**
+ * Node entry point of the bot benchmark (see bot.js). It plays seeded games on each board with one or all of the
+ * bot's strategies and prints their win rate, average moves and time per game. Run it from the www directory with
+ * `npm run benchmark -- [options]`:
+ *      --games N           games to play per board (default 100)
+ *      --boards LIST       comma separated boards: difficulty keys, "<rows>x<cols>-<mines>" or
+ *                          "<rows>x<cols>-<density>%" (default beginner,intermediate,expert)
+ *      --strategy NAME     random, basic, solver or all (default all)
+ *      --seed N            seed of the first game of each board (default 1)
+ *      --safe              keep the neighbours of the first revealed cell free of mines
+ *      --noguess           play no-guess boards
+ */
+
+import {BotStrategies, parseBoardSpec, runBenchmark, formatReport} from "./bot";
+import {parseSeed} from "./seed";
+
+const USAGE = "usage: npm run benchmark -- [--games N] [--boards LIST] [--strategy NAME] [--seed N] [--safe] " +
+    "[--noguess]";
+
+/**
+ * parses the command line arguments of the benchmark
+ * @param args - the arguments, without the node and script paths
+ * @returns {object} {games, boards, strategies, seed, safeArea, noGuess}
+ */
+function parseArgs(args) {
+    const options = {
+        games: 100, boards: ["beginner", "intermediate", "expert"], strategy: "all", seed: 1, safe: false,
+        noguess: false,
+    };
+    for (let i = 0; i < args.length; i++) {
+        const name = args[i].replace(/^--/, "");
+        if (name === "safe" || name === "noguess") {
+            options[name] = true;
+        } else if (name in options && i + 1 < args.length) {
+            options[name] = args[++i];
+        } else {
+            throw new Error(`unknown argument: ${args[i]}`);
+        }
+    }
+
+    const games = Number(options.games);
+    if (!Number.isInteger(games) || games < 1) throw new Error("--games must be a positive integer");
+    const seed = parseSeed(options.seed);
+    if (seed === undefined) throw new Error("--seed must be an integer between 0 and 4294967295");
+    const strategies = options.strategy === "all" ? Object.keys(BotStrategies) : [options.strategy];
+    strategies.forEach(strategy => {
+        if (!BotStrategies[strategy]) throw new Error(`unknown strategy: ${strategy}`);
+    });
+    const boards = (Array.isArray(options.boards) ? options.boards : options.boards.split(","))
+        .map(spec => parseBoardSpec(spec.trim()));
+    return {games, boards, strategies, seed, safeArea: options.safe, noGuess: options.noguess};
+}
+
+function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (e) {
+        console.error(e.message);
+        console.error(USAGE);
+        process.exitCode = 1;
+        return;
+    }
+    const {games, boards, strategies, seed, safeArea, noGuess} = options;
+    strategies.forEach(name => {
+        const results = runBenchmark({boards, strategy: BotStrategies[name], games, seed, safeArea, noGuess});
+        console.log(`\n${name} strategy, ${games} games per board`);
+        console.log(formatReport(results));
+    });
+}
+
+main();
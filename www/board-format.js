@@ -0,0 +1,220 @@
+/**
+ * Portable minesweeper boards. A board is a plain object describing a grid's layout and (optionally) its progress:
+ *      {rows, cols, mines, states}
+ * where mines holds the 1D indices (row * cols + col) of the mined cells and states holds one CellState per cell, in
+ * row major order. states may be left out, every cell is then hidden. Boards have the same fields as the snapshots
+ * taken by MinesweeperState.toSnapshot, so a snapshot can be exported as is.
+ *
+ * Text format - one line per grid row and one character per cell, lines starting with '#' are comments:
+ *      .       hidden cell
+ *      *       hidden mine
+ *      0-8     revealed cell (the digit is its adjacent mine count, it is ignored when a board is parsed)
+ *      X       revealed mine
+ *      f F     flagged cell / flagged mine
+ *      q Q     questioned cell / questioned mine
+ * i.e. a 3x4 board with two mines, a revealed corner and a flag:
+ *      # minesweeper board 3x4, 2 mines
+ *      01..
+ *      02F.
+ *      02*.
+ *
+ * URL format - `<rows>x<cols>.<mines>[.<states>]`, where <mines> is a bitset of the mined cells (bit i of byte
+ * floor(i / 8) is set if cell i is mined) and <states> packs 2-bit CellStates four cells to a byte (cell i in bits
+ * 2 * (i % 4) and up). Both are base64url encoded without padding, <states> is left out when every cell is hidden.
+ *
+ * Boards read in either format must fit the largest grid a game can be played on (MAX_GRID_ROWS x MAX_GRID_COLS) and
+ * leave at least one cell without a mine.
+ */
+
+import {CellState} from "wasm-minesweeper";
+import {MAX_GRID_ROWS, MAX_GRID_COLS, maxMineCount} from "./difficulty";
+
+const COMMENT_PREFIX = "#";
+const URL_FORMAT = /^(\d+)x(\d+)\.([A-Za-z0-9_-]*)(?:\.([A-Za-z0-9_-]*))?$/;
+
+// character of a cell by [state][isMine], revealed cells without a mine are written as their adjacent mine count
+const CELL_CHARS = {
+    [CellState.Hidden]:     [".", "*"],
+    [CellState.Flagged]:    ["f", "F"],
+    [CellState.Questioned]: ["q", "Q"],
+    [CellState.Revealed]:   [undefined, "X"],
+};
+
+// {state, mine} of every character of the text format, except the digits
+const CHAR_CELLS = {
+    ".": {state: CellState.Hidden,     mine: false},
+    "*": {state: CellState.Hidden,     mine: true},
+    "f": {state: CellState.Flagged,    mine: false},
+    "F": {state: CellState.Flagged,    mine: true},
+    "q": {state: CellState.Questioned, mine: false},
+    "Q": {state: CellState.Questioned, mine: true},
+    "X": {state: CellState.Revealed,   mine: true},
+};
+
+/**
+ * writes a board in the text format
+ * @param board - {rows, cols, mines, states}
+ * @returns {string} the board as text, ending with a newline
+ */
+function formatBoard({rows, cols, mines, states}) {
+    const mined = new Set(mines);
+    const lines = [`${COMMENT_PREFIX} minesweeper board ${rows}x${cols}, ${mined.size} mines`];
+    for (let r = 0; r < rows; r++) {
+        let line = "";
+        for (let c = 0; c < cols; c++) {
+            const index = r * cols + c;
+            const state = states ? states[index] : CellState.Hidden;
+            const isMine = mined.has(index);
+            line += state === CellState.Revealed && !isMine
+                ? adjacentMineCount(mined, rows, cols, r, c)
+                : CELL_CHARS[state][isMine ? 1 : 0];
+        }
+        lines.push(line);
+    }
+    return lines.join("\n") + "\n";
+}
+
+/**
+ * reads a board written in the text format
+ * @param text - the board as text
+ * @returns {object} the board, {rows, cols, mines, states}
+ * @throws Error if the text is not a valid board
+ */
+function parseBoard(text) {
+    const lines = String(text).split(/\r?\n/)
+        .map(line => line.trim())
+        .filter(line => line !== "" && !line.startsWith(COMMENT_PREFIX));
+    if (lines.length === 0) {
+        throw new Error("the board is empty");
+    }
+    const rows = lines.length;
+    const cols = lines[0].length;
+    checkGridSize(rows, cols);
+    const mines = [];
+    const states = [];
+    lines.forEach((line, r) => {
+        if (line.length !== cols) {
+            throw new Error(`row ${r + 1} has ${line.length} cells, expected ${cols}`);
+        }
+        [...line].forEach((char, c) => {
+            const cell = /^[0-8]$/.test(char) ? {state: CellState.Revealed, mine: false} : CHAR_CELLS[char];
+            if (!cell) {
+                throw new Error(`unknown cell '${char}' at row ${r + 1}, column ${c + 1}`);
+            }
+            if (cell.mine) mines.push(r * cols + c);
+            states.push(cell.state);
+        });
+    });
+    checkMineCount(rows, cols, mines.length);
+    return {rows, cols, mines, states};
+}
+
+/**
+ * encodes a board for use in a URL (see the URL format above)
+ * @param board - {rows, cols, mines, states}
+ * @returns {string} the encoded board, it only contains URL safe characters
+ */
+function encodeBoard({rows, cols, mines, states}) {
+    const bitset = new Uint8Array(Math.ceil(rows * cols / 8));
+    mines.forEach(index => { bitset[index >> 3] |= 1 << (index & 7); });
+    let encoded = `${rows}x${cols}.${toBase64Url(bitset)}`;
+    if (states && states.some(state => state !== CellState.Hidden)) {
+        const packed = new Uint8Array(Math.ceil(rows * cols / 4));
+        states.forEach((state, index) => { packed[index >> 2] |= (state & 3) << ((index & 3) * 2); });
+        encoded += `.${toBase64Url(packed)}`;
+    }
+    return encoded;
+}
+
+/**
+ * decodes a board encoded with encodeBoard
+ * @param encoded - the encoded board
+ * @returns {object} the board, {rows, cols, mines, states}
+ * @throws Error if the encoded board is not valid
+ */
+function decodeBoard(encoded) {
+    const match = URL_FORMAT.exec(String(encoded));
+    if (!match) {
+        throw new Error("the board is not in the <rows>x<cols>.<mines>[.<states>] format");
+    }
+    const rows = Number(match[1]);
+    const cols = Number(match[2]);
+    const size = rows * cols;
+    if (size === 0) {
+        throw new Error("the board is empty");
+    }
+    checkGridSize(rows, cols);
+    const bitset = fromBase64Url(match[3]);
+    const packed = match[4] === undefined ? undefined : fromBase64Url(match[4]);
+    if (bitset.length !== Math.ceil(size / 8) || (packed && packed.length !== Math.ceil(size / 4))) {
+        throw new Error(`the board data does not fit a ${rows}x${cols} grid`);
+    }
+    const mines = [];
+    const states = [];
+    for (let index = 0; index < size; index++) {
+        if (bitset[index >> 3] & (1 << (index & 7))) mines.push(index);
+        states.push(packed ? (packed[index >> 2] >> ((index & 3) * 2)) & 3 : CellState.Hidden);
+    }
+    checkMineCount(rows, cols, mines.length);
+    return {rows, cols, mines, states};
+}
+
+/**
+ * checks that a board read in either format fits the largest grid a game can be played on
+ * @throws Error if the board has more than MAX_GRID_ROWS rows or MAX_GRID_COLS columns
+ */
+function checkGridSize(rows, cols) {
+    if (rows > MAX_GRID_ROWS || cols > MAX_GRID_COLS) {
+        throw new Error(`the board is ${rows}x${cols}, boards have at most ${MAX_GRID_ROWS} rows and `
+            + `${MAX_GRID_COLS} columns`);
+    }
+}
+
+/**
+ * checks that a board read in either format leaves a cell without a mine
+ * @throws Error if the board has more mines than maxMineCount allows
+ */
+function checkMineCount(rows, cols, mineCount) {
+    if (mineCount > maxMineCount(rows, cols)) {
+        throw new Error(`the board has ${mineCount} mines, a ${rows}x${cols} board has at most `
+            + `${maxMineCount(rows, cols)}`);
+    }
+}
+
+/**
+ * counts the mines around a cell
+ * @param mined - Set of the 1D indices of the mined cells
+ */
+function adjacentMineCount(mined, rows, cols, row, col) {
+    let count = 0;
+    for (let r = Math.max(row - 1, 0); r <= Math.min(row + 1, rows - 1); r++) {
+        for (let c = Math.max(col - 1, 0); c <= Math.min(col + 1, cols - 1); c++) {
+            if ((r !== row || c !== col) && mined.has(r * cols + c)) count++;
+        }
+    }
+    return count;
+}
+
+/**
+ * base64url encodes bytes, without padding
+ */
+function toBase64Url(bytes) {
+    let binary = "";
+    bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+    return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+/**
+ * decodes base64url (with or without padding) into bytes
+ */
+function fromBase64Url(text) {
+    let binary;
+    try {
+        binary = atob(text.replace(/-/g, "+").replace(/_/g, "/"));
+    } catch (e) {
+        throw new Error("the board data is not valid base64url");
+    }
+    return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+export {formatBoard, parseBoard, encodeBoard, decodeBoard};
@@ -0,0 +1,219 @@
+/**
+ * A bot that plays complete games of minesweeper headlessly, through the MinesweeperState API, and a benchmark that
+ * plays many seeded games with it. The bot's moves come from a strategy: a function that looks at the grid and returns
+ * the next move. The built-in strategies are:
+ *      random - reveals random cells
+ *      basic  - single-cell rules (a number whose flags are all placed, or whose hidden neighbours must all be mines),
+ *               guessing a random cell when they find nothing
+ *      solver - the hints of the logic solver (see solver.js), guessing the least likely mine when nothing is certain
+ * Every strategy flags the remaining hidden cells once only mines are left, since a game is won by flagging its mines.
+ * The benchmark is used to test changes to the game rules and to measure how hard each board size and mine density
+ * really is, benchmark.js runs it from Node.
+ */
+
+import {GameAction} from "./game-controller";
+import {MinesweeperState} from "./minesweeper-state";
+import {HintKind, findHint} from "./solver";
+import {seededRandom} from "./seed";
+import {DIFFICULTY_PRESETS, maxMineCount} from "./difficulty";
+
+/**
+ * lists the cells that are hidden (not revealed, flagged or questioned)
+ * @returns {Array} [row, col] of each hidden cell
+ */
+function hiddenCells(state) {
+    const cells = [];
+    for (let row = 0; row < state.num_rows; row++) {
+        for (let col = 0; col < state.num_cols; col++) {
+            if (state.isHiddenCell(row, col)) cells.push([row, col]);
+        }
+    }
+    return cells;
+}
+
+/**
+ * reveals a random hidden cell, or flags one once every hidden cell must be a mine
+ * @param state - MinesweeperState of the game
+ * @param random - function returning random numbers between 0 and 1
+ * @returns {object|undefined} the move, {action, row, col}. undefined if no cell is hidden
+ */
+function randomStrategy(state, random) {
+    const cells = hiddenCells(state);
+    if (cells.length === 0) return undefined;
+    const [row, col] = cells[Math.floor(random() * cells.length)];
+    const action = cells.length === state.remainingFlags() ? GameAction.Flag : GameAction.Reveal;
+    return {action, row, col};
+}
+
+/**
+ * applies the single-cell rules to every revealed number: if its flags match its number its other hidden neighbours
+ * are revealed, if its hidden neighbours are needed to match its number they are flagged. Plays a random move if no
+ * number gives a move
+ * @param state - MinesweeperState of the game
+ * @param random - function returning random numbers between 0 and 1
+ * @returns {object|undefined} the move, {action, row, col}. undefined if no cell is hidden
+ */
+function basicStrategy(state, random) {
+    for (let row = 0; row < state.num_rows; row++) {
+        for (let col = 0; col < state.num_cols; col++) {
+            if (!state.isRevealedCell(row, col)) continue;
+            const hidden = [];
+            let flagged = 0;
+            neighbours(state, row, col).forEach(([r, c]) => {
+                if (state.isHiddenCell(r, c)) hidden.push([r, c]);
+                if (state.isFlaggedCell(r, c)) flagged += 1;
+            });
+            if (hidden.length === 0) continue;
+            const number = state.cellAdjMineCount(row, col);
+            if (flagged === number) {
+                return {action: GameAction.Reveal, row: hidden[0][0], col: hidden[0][1]};
+            }
+            if (flagged + hidden.length === number) {
+                return {action: GameAction.Flag, row: hidden[0][0], col: hidden[0][1]};
+            }
+        }
+    }
+    return randomStrategy(state, random);
+}
+
+/**
+ * plays the solver's hint: reveals safe cells and guesses, flags mines
+ * @param state - MinesweeperState of the game
+ * @param random - function returning random numbers between 0 and 1
+ * @returns {object|undefined} the move, {action, row, col}. undefined if no cell is hidden
+ */
+function solverStrategy(state, random) {
+    const hint = findHint(state);
+    if (!hint) return randomStrategy(state, random);
+    const action = hint.kind === HintKind.Safe || hint.kind === HintKind.Guess ? GameAction.Reveal : GameAction.Flag;
+    return {action, row: hint.row, col: hint.col};
+}
+
+/**
+ * the built-in strategies by name
+ */
+const BotStrategies = Object.freeze({
+    random: randomStrategy,
+    basic:  basicStrategy,
+    solver: solverStrategy,
+});
+
+/**
+ * plays a complete game with a strategy
+ * @param strategy - function (state, random) returning the next move {action, row, col}, where action is
+ *                   GameAction.Reveal or GameAction.Flag. A strategy that returns no move ends the game unwon
+ * @param options.rows - number of rows in the grid
+ * @param options.cols - number of columns in the grid
+ * @param options.mines - number of mines in the grid
+ * @param options.seed - seed of the game, it also seeds the strategy's random numbers
+ * @param options.safeArea - keep the neighbours of the first revealed cell free of mines (default false)
+ * @param options.noGuess - play a no-guess board (default false)
+ * @param options.now - function returning the current time in ms, defaults to Date.now
+ * @returns {object} {won, moves, timeMs}: whether the game was won, how many moves were played and how long the game
+ *                   took
+ */
+function playGame(strategy, {rows, cols, mines, seed, safeArea = false, noGuess = false, now = Date.now}) {
+    const started = now();
+    const state = new MinesweeperState(rows, cols, {mines, seed, safeArea, noGuess});
+    const random = seededRandom(seed);
+    // every move reveals or flags at least one cell, a strategy that plays more moves than this is stuck
+    const maxMoves = 2 * rows * cols;
+    let moves = 0;
+    while (!state.isGameWon() && !state.isGameLost() && moves < maxMoves) {
+        const move = strategy(state, random);
+        if (!move) break;
+        const {action, row, col} = move;
+        if (action === GameAction.Flag) {
+            state.toggleFlag(row, col);
+        } else if (action === GameAction.Reveal) {
+            state.revealCell(row, col);
+        } else {
+            throw new Error(`the bot can not play the game action: ${action}`);
+        }
+        moves += 1;
+    }
+    const won = state.isGameWon();
+    state.free();
+    return {won, moves, timeMs: now() - started};
+}
+
+/**
+ * parses the description of a board to benchmark
+ * @param spec - a difficulty key (i.e. "expert"), "<rows>x<cols>-<mines>" or "<rows>x<cols>-<density>%"
+ * @returns {object} {name, rows, cols, mines} of the board
+ */
+function parseBoardSpec(spec) {
+    const preset = DIFFICULTY_PRESETS[spec];
+    if (preset) return {name: spec, rows: preset.rows, cols: preset.cols, mines: preset.mines};
+
+    const match = /^(\d+)x(\d+)-(\d+(?:\.\d+)?)(%?)$/.exec(spec);
+    if (!match) throw new Error(`unknown board: ${spec}`);
+    const rows = Number(match[1]);
+    const cols = Number(match[2]);
+    const mines = match[4] ? Math.round(rows * cols * Number(match[3]) / 100) : Number(match[3]);
+    if (rows < 1 || cols < 1 || !Number.isInteger(mines) || mines < 1 || mines > maxMineCount(rows, cols)) {
+        throw new Error(`board ${spec} must have at least one cell, at least one mine and one cell without a mine`);
+    }
+    return {name: spec, rows, cols, mines};
+}
+
+/**
+ * plays games on each board with a strategy. Game i of every board is played with seed + i, so different strategies
+ * (or builds of the game) play the same boards
+ * @param options.boards - boards to play, {name, rows, cols, mines} each (see parseBoardSpec)
+ * @param options.strategy - the strategy to play with, see playGame
+ * @param options.games - number of games to play per board (default 100)
+ * @param options.seed - seed of the first game of each board (default 1)
+ * @param options.safeArea - keep the neighbours of the first revealed cell free of mines (default false)
+ * @param options.noGuess - play no-guess boards (default false)
+ * @param options.now - function returning the current time in ms, defaults to Date.now
+ * @returns {Array} {board, games, won, winRate, averageMoves, averageTimeMs} of each board
+ */
+function runBenchmark({boards, strategy, games = 100, seed = 1, safeArea = false, noGuess = false, now = Date.now}) {
+    return boards.map(board => {
+        let won = 0;
+        let moves = 0;
+        let timeMs = 0;
+        for (let i = 0; i < games; i++) {
+            const result = playGame(strategy, {...board, seed: (seed + i) >>> 0, safeArea, noGuess, now});
+            if (result.won) won += 1;
+            moves += result.moves;
+            timeMs += result.timeMs;
+        }
+        return {board, games, won, winRate: won / games, averageMoves: moves / games, averageTimeMs: timeMs / games};
+    });
+}
+
+/**
+ * formats the results of runBenchmark as a plain text table
+ * @param results - array returned by runBenchmark
+ * @returns {string} the table, one line per board
+ */
+function formatReport(results) {
+    const header = ["board", "games", "won", "win rate", "avg moves", "avg ms/game"];
+    const rows = results.map(({board, games, won, winRate, averageMoves, averageTimeMs}) => [
+        `${board.name} (${board.rows}x${board.cols}, ${board.mines} mines)`, String(games), String(won),
+        `${(winRate * 100).toFixed(1)}%`, averageMoves.toFixed(1), averageTimeMs.toFixed(2),
+    ]);
+    const widths = header.map((title, i) => Math.max(title.length, ...rows.map(row => row[i].length)));
+    // the board names are left aligned, the numbers right aligned
+    const formatRow = (row) => row.map((cell, i) => i === 0 ? cell.padEnd(widths[i]) : cell.padStart(widths[i]))
+        .join("  ");
+    return [header, ...rows].map(formatRow).join("\n");
+}
+
+/**
+ * lists the neighbours of a cell
+ * @returns {Array} [row, col] of each neighbour within the grid
+ */
+function neighbours(state, row, col) {
+    const result = [];
+    for (let r = Math.max(row - 1, 0); r <= Math.min(row + 1, state.num_rows - 1); r++) {
+        for (let c = Math.max(col - 1, 0); c <= Math.min(col + 1, state.num_cols - 1); c++) {
+            if (r !== row || c !== col) result.push([r, c]);
+        }
+    }
+    return result;
+}
+
+export {BotStrategies, playGame, parseBoardSpec, runBenchmark, formatReport};
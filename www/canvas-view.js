@@ -0,0 +1,873 @@
+/**
+ * A canvas view of a minesweeper game. The view subscribes to the events of a GameController and renders the game
+ * grid onto a 2D canvas. Mouse gestures on the canvas are translated into moves on the controller, using the
+ * view's input bindings. Touches are handled by a TouchInput: tap to reveal, long press to flag (swapped while
+ * flag mode is on), pinch to zoom and drag to pan.
+ * Colours, fonts and glyphs come from the view's theme (see themes.js), which can be changed at any time.
+ * The grid is drawn in "board units", in which a cell is CELL_SIZE wide, and the canvas scales board units to the
+ * selected cell size and the screen's devicePixelRatio so that the board stays sharp at any size (see cell-size.js).
+ * The view can also overlay a heatmap of the mine probability of each hidden cell (see solver.js), hovering a cell
+ * of the heatmap shows its probability as the canvas' tooltip. The probabilities are computed again after every move,
+ * and only the cells whose probability changed are redrawn. Computing them takes too long on large boards, so the
+ * heatmap is only drawn on boards of up to MAX_HEATMAP_CELLS cells.
+ * A game that is over is presented without changing its state: the mines are shown, the mine that lost the game is
+ * highlighted, correct flags are kept and wrong flags are crossed out. In inspect mode every cell of a finished game is
+ * shown, and hovering a cell describes what it was and what the player did with it.
+ * A move only redraws the cells it changed (see the controller's 'move' event). The changed cells are collected and
+ * drawn together in the next animation frame, so large boards stay responsive however many moves arrive per frame.
+ */
+
+import {GameAction} from "./game-controller";
+import {DEFAULT_BINDINGS, gestureFromEvent, actionForGesture} from "./input-bindings";
+import {TouchInput} from "./touch-input";
+import {HintKind, analyze, mineProbabilities} from "./solver";
+import {DEFAULT_THEME, themeByKey} from "./themes";
+import {BOARD_CELL_SIZE, DEFAULT_CELL_SIZE, FIT_CELL_SIZE, boardSize, fitCellSize} from "./cell-size";
+
+const CELL_SIZE         = BOARD_CELL_SIZE;      // size of a minesweeper cell, in board units
+const BORDER_WIDTH      = 2;                    // border width of a cell, in board units
+const FIT_MARGIN_WIDTH  = 16;                   // css px of the viewport's width left around a board fitted to it
+const FIT_MARGIN_HEIGHT = 220;                  // css px of the viewport's height left for the counters and buttons
+const HINT_COLORS       = {                     // theme palette colour of the hinted cell's outline, by HintKind
+    [HintKind.Safe]:      "hintSafe",
+    [HintKind.Mine]:      "hintMine",
+    [HintKind.WrongFlag]: "hintMine",
+    [HintKind.Guess]:     "hintGuess",
+};
+const HEATMAP_ALPHA     = 0.55;                 // opacity of the mine probability heatmap over hidden cells
+const MAX_HEATMAP_CELLS = 2500;                 // largest board (in cells) the heatmap is computed for, i.e. 50x50
+const INSPECT_ALPHA     = 0.5;                  // opacity of the safe cells the player didn't reveal, in inspect mode
+const MAX_CANVAS_PIXELS = 4096 * 4096;          // largest canvas backing store, larger canvases fail on some browsers
+
+const MIDDLE_BUTTON     = 1;                    // MouseEvent.button value of the middle mouse button
+const LEFT_RIGHT_BUTTONS = 3;                   // MouseEvent.buttons bits of the left and right buttons
+const BUTTON_BITS       = [1, 4, 2];            // MouseEvent.buttons bit of each MouseEvent.button (left, middle, right)
+
+// sprite glyph images by url, see glyphImage
+const glyphImages = new Map();
+
+
+class CanvasView {
+
+    /**
+     * @param canvas - the canvas element to render the grid to
+     * @param controller - GameController whose games will be rendered
+     * @param options.bindings - gesture to action map, see input-bindings.js
+     * @param options.theme - the theme to render with, see themes.js
+     * @param options.cellSize - size of the cells in css px, or FIT_CELL_SIZE to fit the board to the viewport
+     */
+    constructor(canvas, controller, {
+        bindings = DEFAULT_BINDINGS, theme = themeByKey(DEFAULT_THEME), cellSize = DEFAULT_CELL_SIZE
+    } = {}) {
+        this.canvas = canvas;
+        this.controller = controller;
+        this.bindings = bindings;
+        this.theme = theme;
+        this.cellSize = cellSize;
+        // the devicePixelRatio the canvas was last sized for
+        this.pixelRatio = window.devicePixelRatio;
+        this.ctx = canvas.getContext('2d');
+        // while flag mode is on, a tap flags a cell and a long press reveals it
+        this.flagMode = false;
+        // the keyboard focus cursor, {row, col} or undefined when it is hidden
+        this.cursor = undefined;
+        // the cell suggested by the last hint, until the next move
+        this.hint = undefined;
+        // while the heatmap is shown, the mine probability of every cell (see mineProbabilities) of the current grid
+        this.showHeatmap = false;
+        this.probabilities = undefined;
+        // while inspecting, a finished game shows every cell (see renderGameOver)
+        this.inspecting = false;
+        // 1D indices of the cells to redraw in the next animation frame, or all cells while fullRedraw is set
+        this.dirtyCells = new Set();
+        this.fullRedraw = false;
+        // id of the requested animation frame, undefined when no frame is pending
+        this.frameRequest = undefined;
+
+        // true once the left and right buttons were pressed together, until all buttons are released
+        this.leftRightPressed = false;
+
+        this.gridMouseUpListener = this.gridMouseUpListener.bind(this);
+        this.gridMouseDownListener = this.gridMouseDownListener.bind(this);
+        this.gridContextMenuListener = this.gridContextMenuListener.bind(this);
+        this.gridMouseMoveListener = this.gridMouseMoveListener.bind(this);
+        this.windowResizeListener = this.windowResizeListener.bind(this);
+        this.unsubscribers = [
+            controller.on('newGame', ({state}) => {
+                this.hint = undefined;
+                this.inspecting = false;
+                this.cancelFrame();
+                this.initCanvas(state);
+            }),
+            controller.on('move', ({changed}) => {
+                if (this.hint) this.dirtyCells.add(controller.state.to_1d(this.hint.row, this.hint.col));
+                this.hint = undefined;
+                changed.forEach(index => this.dirtyCells.add(index));
+                this.requestFrame();
+            }),
+            // the end of the game was drawn over the whole grid
+            controller.on('gameResumed', () => {
+                this.inspecting = false;
+                this.fullRedraw = true;
+                this.requestFrame();
+            }),
+            controller.on('hint', ({hint}) => {
+                this.hint = hint;
+                this.drawHint();
+                this.drawCursor();
+            }),
+            controller.on('gameWon', () => this.redraw()),
+            controller.on('gameLost', () => this.redraw()),
+        ];
+        canvas.addEventListener("mousedown", this.gridMouseDownListener);
+        canvas.addEventListener("mouseup", this.gridMouseUpListener);
+        canvas.addEventListener("contextmenu", this.gridContextMenuListener);
+        canvas.addEventListener("mousemove", this.gridMouseMoveListener);
+        // the viewport's size changes the size of a fitted board, and moving to another screen changes devicePixelRatio
+        window.addEventListener("resize", this.windowResizeListener);
+
+        this.touchInput = new TouchInput(canvas, {
+            onTap: (event) => this.touchListener(event, this.flagMode ? GameAction.Flag : GameAction.Reveal),
+            onLongPress: (event) => {
+                // a short vibration confirms the long press on devices that support it
+                if (navigator.vibrate) navigator.vibrate(30);
+                this.touchListener(event, this.flagMode ? GameAction.Reveal : GameAction.Flag);
+            },
+        });
+    }
+
+    /**
+     * sizes the canvas to fit the grid of a new game and draws it. A resumed, loaded or replayed game can already be
+     * over, so the grid is drawn by redraw
+     * @param minesweeper - MinesweeperState of the new game
+     */
+    initCanvas(minesweeper) {
+        sizeCanvas(this.canvas, minesweeper, this.theme, {cellSize: this.resolveCellSize(minesweeper)});
+        this.touchInput.resetZoom();
+        this.redraw();
+    }
+
+    /**
+     * changes the size of the cells and renders the current game again at that size
+     * @param cellSize - size of the cells in css px, or FIT_CELL_SIZE to fit the board to the viewport
+     */
+    setCellSize(cellSize) {
+        this.cellSize = cellSize;
+        this.resize();
+    }
+
+    /**
+     * @returns {number} the size of the cells of a grid in css px, with FIT_CELL_SIZE resolved against the viewport
+     */
+    resolveCellSize(minesweeper) {
+        if (this.cellSize !== FIT_CELL_SIZE) return this.cellSize;
+        return fitCellSize(minesweeper.num_rows, minesweeper.num_cols,
+            document.documentElement.clientWidth - FIT_MARGIN_WIDTH, window.innerHeight - FIT_MARGIN_HEIGHT);
+    }
+
+    /**
+     * sizes the canvas again for the current cell size and devicePixelRatio, and renders the current game
+     */
+    resize() {
+        const state = this.controller.state;
+        if (!state) return;
+        sizeCanvas(this.canvas, state, this.theme, {cellSize: this.resolveCellSize(state)});
+        this.redraw();
+    }
+
+    /**
+     * resizes the canvas when the window is resized, if the board is fitted to the viewport or the devicePixelRatio
+     * changed
+     */
+    windowResizeListener() {
+        if (this.cellSize === FIT_CELL_SIZE || this.pixelRatio !== window.devicePixelRatio) {
+            this.pixelRatio = window.devicePixelRatio;
+            this.resize();
+        }
+    }
+
+    /**
+     * changes the theme and renders the current game again with it. Sprite glyphs of the theme are drawn once they
+     * have loaded
+     * @param theme - the theme to render with, see themes.js
+     */
+    setTheme(theme) {
+        this.theme = theme;
+        Object.values(theme.glyphs).filter(glyph => typeof glyph !== 'string').forEach(({src}) => {
+            const image = glyphImage(src);
+            if (!image.complete) image.addEventListener('load', () => this.redraw(), {once: true});
+        });
+        this.redraw();
+    }
+
+    /**
+     * renders the current game again, with the heatmap, hint and cursor drawn on top of it. A game that is over is
+     * rendered with renderGameOver
+     */
+    redraw() {
+        const state = this.controller.state;
+        if (!state) return;
+        this.cancelFrame();
+        this.canvas.style.backgroundColor = this.theme.palette.hiddenCell;
+        if (this.controller.isGameOver) {
+            renderGameOver(this.ctx, state, this.theme, {inspect: this.inspecting});
+            return;
+        }
+        renderGrid(this.ctx, state, this.theme);
+        this.drawHeatmap();
+        this.drawHint();
+        this.drawCursor();
+    }
+
+    /**
+     * asks for an animation frame to draw the dirty cells in, unless one is already pending
+     */
+    requestFrame() {
+        if (this.frameRequest === undefined) {
+            this.frameRequest = window.requestAnimationFrame(() => this.drawFrame());
+        }
+    }
+
+    /**
+     * cancels the pending animation frame (if any) and forgets the dirty cells
+     */
+    cancelFrame() {
+        if (this.frameRequest !== undefined) window.cancelAnimationFrame(this.frameRequest);
+        this.frameRequest = undefined;
+        this.dirtyCells.clear();
+        this.fullRedraw = false;
+    }
+
+    /**
+     * redraws the cells changed since the last frame, and the cells whose mine probability they changed, with their
+     * heatmap colour, and the hint and cursor on top
+     */
+    drawFrame() {
+        const state = this.controller.state;
+        if (this.fullRedraw) {
+            this.redraw();
+            return;
+        }
+        if (this.probabilities) {
+            const previous = this.probabilities;
+            this.probabilities = this.computeProbabilities();
+            this.probabilities.forEach((probability, index) => {
+                if (!Object.is(probability, previous[index])) this.dirtyCells.add(index);
+            });
+        }
+        this.dirtyCells.forEach(index => {
+            const row = Math.floor(index / state.num_cols);
+            const col = index % state.num_cols;
+            drawCell(this.ctx, state, row, col, this.theme);
+            this.drawHeatmapCell(row, col);
+        });
+        this.cancelFrame();
+        this.drawHint();
+        this.drawCursor();
+    }
+
+    /**
+     * moves the keyboard focus cursor, redrawing the cell it leaves and outlining the cell it moves to. The cursor is
+     * only drawn while the game is in progress
+     * @param cursor - {row, col} of the cell to outline, or undefined to hide the cursor
+     */
+    setCursor(cursor) {
+        const state = this.controller.state;
+        if (this.cursor && !this.controller.isGameOver) {
+            drawCell(this.ctx, state, this.cursor.row, this.cursor.col, this.theme);
+            this.drawHeatmapCell(this.cursor.row, this.cursor.col);
+            this.drawHint();
+        }
+        this.cursor = cursor;
+        this.drawCursor();
+    }
+
+    /**
+     * outlines the cell under the keyboard focus cursor
+     */
+    drawCursor() {
+        if (!this.cursor || this.controller.isGameOver) return;
+        drawOutline(this.ctx, this.cursor.row, this.cursor.col, this.theme.palette.cursor);
+    }
+
+    /**
+     * outlines the cell of the last hint (if any) in the color of its HintKind
+     */
+    drawHint() {
+        if (!this.hint || this.controller.isGameOver) return;
+        const x = this.hint.col * (CELL_SIZE + 1) + 2;
+        const y = this.hint.row * (CELL_SIZE + 1) + 2;
+        this.ctx.strokeStyle = this.theme.palette[HINT_COLORS[this.hint.kind]];
+        this.ctx.lineWidth = 3;
+        this.ctx.strokeRect(x + 1.5, y + 1.5, CELL_SIZE - 3, CELL_SIZE - 3);
+    }
+
+    /**
+     * turns inspect mode on or off. While it is on a finished game shows every cell, and hovering a cell describes it
+     * in the canvas' tooltip
+     * @param inspecting - true to inspect the game
+     */
+    setInspecting(inspecting) {
+        this.inspecting = inspecting;
+        this.redraw();
+        if (!inspecting) this.canvas.title = "";
+    }
+
+    /**
+     * shows or hides the mine probability heatmap
+     * @param show - true to show the heatmap
+     */
+    setShowHeatmap(show) {
+        this.showHeatmap = show;
+        if (!this.controller.isGameOver) this.redraw();
+        if (!show) this.canvas.title = "";
+    }
+
+    /**
+     * @returns {boolean} true if the current board is small enough for the heatmap, see MAX_HEATMAP_CELLS
+     */
+    canShowHeatmap() {
+        const state = this.controller.state;
+        return !!state && state.num_rows * state.num_cols <= MAX_HEATMAP_CELLS;
+    }
+
+    /**
+     * computes the mine probabilities of the current grid, taking flags to be mines
+     * @returns {Float64Array} the probability of each cell, see mineProbabilities
+     */
+    computeProbabilities() {
+        const state = this.controller.state;
+        return mineProbabilities(state, analyze(state, {trustFlags: true}));
+    }
+
+    /**
+     * computes the mine probabilities of the current grid and colours every hidden (or questioned) cell by its
+     * probability, from green (certainly safe) to red (certainly a mine). Flags are taken to be mines. Nothing is
+     * drawn while the heatmap is hidden, once the game is over or if the board is too large (see canShowHeatmap)
+     */
+    drawHeatmap() {
+        this.probabilities = undefined;
+        const state = this.controller.state;
+        if (!this.showHeatmap || !this.canShowHeatmap() || this.controller.isGameOver) return;
+        this.probabilities = this.computeProbabilities();
+        for (let row = 0; row < state.num_rows; row++) {
+            for (let col = 0; col < state.num_cols; col++) {
+                this.drawHeatmapCell(row, col);
+            }
+        }
+    }
+
+    /**
+     * colours a single cell by its mine probability, if the heatmap is shown and the cell is hidden or questioned
+     * @param row - row index of the cell
+     * @param col - col index of the cell
+     */
+    drawHeatmapCell(row, col) {
+        const probability = this.cellProbability(row, col);
+        if (probability === undefined) return;
+        const x = col * (CELL_SIZE + 1) + 2;
+        const y = row * (CELL_SIZE + 1) + 2;
+        this.ctx.globalAlpha = HEATMAP_ALPHA;
+        this.ctx.fillStyle = `hsl(${Math.round((1 - probability) * 120)}, 90%, 50%)`;
+        this.ctx.fillRect(x, y, CELL_SIZE, CELL_SIZE);
+        this.ctx.globalAlpha = 1;
+        if (this.controller.state.isQuestionedCell(row, col)) {
+            // keep the question mark readable
+            drawGlyph(this.ctx, row, col, this.theme, this.theme.glyphs.question);
+        }
+    }
+
+    /**
+     * @returns {number|undefined} the mine probability (0 to 1) of a hidden or questioned cell while the heatmap is
+     *                             shown, else undefined
+     */
+    cellProbability(row, col) {
+        const state = this.controller.state;
+        if (!this.probabilities || this.controller.isGameOver) return undefined;
+        if (!state.isHiddenCell(row, col) && !state.isQuestionedCell(row, col)) return undefined;
+        const probability = this.probabilities[state.to_1d(row, col)];
+        return Number.isNaN(probability) ? undefined : probability;
+    }
+
+    /**
+     * translate the click event's page-relative coordinates into board units, and then into a row and column index.
+     * The canvas' bounding rect includes the cell size, any CSS scaling and the zoom transform, and board units do not
+     * depend on the devicePixelRatio, so this works at any scale
+     */
+    translateClickPosition(event) {
+        const boundingRect = this.canvas.getBoundingClientRect();
+        const {width, height} = gridSize(this.controller.state);
+
+        const scaleX = width / boundingRect.width;
+        const scaleY = height / boundingRect.height;
+
+        const canvasLeft = (event.clientX - boundingRect.left) * scaleX;
+        const canvasTop = (event.clientY - boundingRect.top) * scaleY;
+
+        // a captured touch can end just outside the canvas, so the position is clamped to the grid
+        const row = clamp(Math.floor(canvasTop / (CELL_SIZE + 1)), 0, this.controller.state.num_rows - 1);
+        const col = clamp(Math.floor(canvasLeft / (CELL_SIZE + 1)), 0, this.controller.state.num_cols - 1);
+        return [row,col];
+    }
+
+    /**
+     * listen for mouse down events on the canvas grid, and remember when the left and right buttons are pressed
+     * together so that the gesture can be handled once both are released
+     * @param event - mousedown event on the canvas
+     */
+    gridMouseDownListener(event) {
+        // prevent middle click auto-scrolling
+        if (event.button === MIDDLE_BUTTON) event.preventDefault();
+        if ((event.buttons & LEFT_RIGHT_BUTTONS) === LEFT_RIGHT_BUTTONS) {
+            this.leftRightPressed = true;
+        } else if (event.buttons === BUTTON_BITS[event.button]) {
+            // the first button of a new gesture was pressed
+            this.leftRightPressed = false;
+        }
+    }
+
+    /**
+     * listen for mouse up events on the canvas grid and perform the action bound to the gesture on the cell under
+     * the mouse. The gesture is handled once all mouse buttons have been released
+     * @param event - mouseup event on the canvas
+     */
+    gridMouseUpListener(event) {
+        if (event.buttons !== 0) return;
+
+        const gesture = this.leftRightPressed ? "left+right" : gestureFromEvent(event);
+        this.leftRightPressed = false;
+        const action = actionForGesture(this.bindings, gesture);
+        if (action) {
+            const [row, col] = this.translateClickPosition(event);
+            this.controller.applyMove(action, row, col);
+        }
+    }
+
+    /**
+     * shows the mine probability of the cell under the mouse as the canvas' tooltip while the heatmap is shown, or a
+     * description of the cell while a finished game is inspected
+     * @param event - mousemove event on the canvas
+     */
+    gridMouseMoveListener(event) {
+        const state = this.controller.state;
+        if (!state) return;
+        if (this.inspecting && this.controller.isGameOver) {
+            const [row, col] = this.translateClickPosition(event);
+            this.canvas.title = describeGameOverCell(state, row, col);
+            return;
+        }
+        if (!this.showHeatmap) return;
+        const [row, col] = this.translateClickPosition(event);
+        const probability = this.cellProbability(row, col);
+        this.canvas.title = probability === undefined ? ""
+            : `${formatProbability(probability)} chance of a mine`;
+    }
+
+    /**
+     * perform a move on the cell under a tap or long press
+     * @param event - pointer event of the touch
+     * @param action - the GameAction to perform
+     */
+    touchListener(event, action) {
+        let [row, col] = this.translateClickPosition(event);
+        this.controller.applyMove(action, row, col);
+    }
+
+    /**
+     * suppress the browser's context menu on the canvas, so that right click can be used in the game
+     * @param event - contextmenu event on the canvas
+     */
+    gridContextMenuListener(event) {
+        event.preventDefault();
+    }
+
+    /**
+     * stops listening to the controller and the canvas
+     */
+    dispose() {
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.touchInput.dispose();
+        this.cancelFrame();
+        this.canvas.removeEventListener("mousedown", this.gridMouseDownListener);
+        this.canvas.removeEventListener("mouseup", this.gridMouseUpListener);
+        this.canvas.removeEventListener("contextmenu", this.gridContextMenuListener);
+        this.canvas.removeEventListener("mousemove", this.gridMouseMoveListener);
+        window.removeEventListener("resize", this.windowResizeListener);
+    }
+}
+
+/**
+ * the size of a grid in board units
+ * @param minesweeper - MinesweeperState of the grid
+ * @returns {object} {width, height} of the grid
+ */
+function gridSize(minesweeper) {
+    return boardSize(minesweeper.num_rows, minesweeper.num_cols);
+}
+
+/**
+ * sizes a canvas to fit a grid. The canvas is displayed with cells of options.cellSize css px and holds a pixel for
+ * every device pixel it covers (up to MAX_CANVAS_PIXELS, very large boards are drawn at a lower resolution), and its
+ * context is scaled so that the grid can be drawn in board units. Resizing clears the canvas, the grid must be
+ * rendered again afterwards
+ * @param canvas - the canvas element the grid is rendered to
+ * @param minesweeper - MinesweeperState of the grid
+ * @param theme - the theme the grid is rendered with, see themes.js
+ * @param options.cellSize - size of the cells in css px (default DEFAULT_CELL_SIZE)
+ * @param options.pixelRatio - device pixels per css px, defaults to window.devicePixelRatio
+ */
+function sizeCanvas(canvas, minesweeper, theme = themeByKey(DEFAULT_THEME), {
+    cellSize = DEFAULT_CELL_SIZE, pixelRatio = window.devicePixelRatio || 1
+} = {}) {
+    const {width, height} = gridSize(minesweeper);
+    // css px per board unit, and canvas pixels per board unit
+    const cssScale = cellSize / CELL_SIZE;
+    const scale = Math.min(cssScale * pixelRatio, Math.sqrt(MAX_CANVAS_PIXELS / (width * height)));
+    canvas.style.backgroundColor = theme.palette.hiddenCell;
+    canvas.width = Math.round(width * scale);
+    canvas.height = Math.round(height * scale);
+    canvas.style.width = `${width * cssScale}px`;
+    canvas.style.height = `${height * cssScale}px`;
+    canvas.getContext('2d').setTransform(scale, 0, 0, scale, 0, 0);
+}
+
+/**
+ * renders the minesweeper game grid on the 2D canvas
+ * @param ctx - the canvas context to render to
+ * @param minesweeper - MinesweeperState of the game being drawn
+ * @param theme - the theme to render with, see themes.js
+ */
+function renderGrid(ctx, minesweeper, theme = themeByKey(DEFAULT_THEME)) {
+    drawGridLines(ctx, minesweeper, theme);
+    drawGridCells(ctx, minesweeper, theme);
+}
+
+/**
+ * renders the grid of a game that is over, without changing its state: mines that weren't flagged are shown, revealed
+ * mines (the mine that lost the game) are highlighted in the theme's wrongMark colour, correct flags are kept and wrong
+ * flags are crossed out. The safe cells the player didn't reveal stay hidden, unless options.inspect is set: then they
+ * are shown faded, so that what the player revealed can still be told apart, and correct flags are outlined in the
+ * theme's correctMark colour
+ * @param ctx - the canvas context to render to
+ * @param minesweeper - MinesweeperState of the game being drawn
+ * @param theme - the theme to render with, see themes.js
+ * @param options.inspect - true to also show the safe cells the player didn't reveal (default false)
+ */
+function renderGameOver(ctx, minesweeper, theme = themeByKey(DEFAULT_THEME), {inspect = false} = {}) {
+    drawGridLines(ctx, minesweeper, theme);
+    for (let r = 0; r < minesweeper.num_rows; r++) {
+        for (let c = 0; c < minesweeper.num_cols; c++) {
+            const mined = minesweeper.isMinedCell(r, c);
+            if (minesweeper.isFlaggedCell(r, c)) {
+                drawCell(ctx, minesweeper, r, c, theme);
+                if (!mined) {
+                    drawCross(ctx, r, c, theme);
+                } else if (inspect) {
+                    drawOutline(ctx, r, c, theme.palette.correctMark);
+                }
+            } else if (mined) {
+                const bgColor = minesweeper.isRevealedCell(r, c) ? theme.palette.wrongMark : theme.palette.revealedCell;
+                drawRevealedCell(ctx, minesweeper, r, c, theme, bgColor);
+            } else if (inspect && !minesweeper.isRevealedCell(r, c)) {
+                drawHiddenCell(ctx, r, c, theme);
+                ctx.globalAlpha = INSPECT_ALPHA;
+                drawRevealedCell(ctx, minesweeper, r, c, theme);
+                ctx.globalAlpha = 1;
+            } else {
+                drawCell(ctx, minesweeper, r, c, theme);
+            }
+        }
+    }
+}
+
+/**
+ * describes a cell of a game that is over: what the cell was and what the player did with it
+ * @param minesweeper - MinesweeperState of the game
+ * @param row - row index of the cell
+ * @param col - col index of the cell
+ * @returns {string} i.e. "Row 3, column 5: no mine (2 adjacent mines), wrongly flagged"
+ */
+function describeGameOverCell(minesweeper, row, col) {
+    const position = `Row ${row + 1}, column ${col + 1}`;
+    if (minesweeper.isMinedCell(row, col)) {
+        if (minesweeper.isFlaggedCell(row, col)) return `${position}: mine, flagged`;
+        if (minesweeper.isRevealedCell(row, col)) return `${position}: mine, revealed - this lost the game`;
+        return `${position}: mine, not flagged`;
+    }
+    const count = minesweeper.cellAdjMineCount(row, col);
+    const number = `${count} adjacent ${count === 1 ? "mine" : "mines"}`;
+    if (minesweeper.isFlaggedCell(row, col)) return `${position}: no mine (${number}), wrongly flagged`;
+    if (minesweeper.isRevealedCell(row, col)) return `${position}: ${number}, revealed`;
+    if (minesweeper.isQuestionedCell(row, col)) return `${position}: ${number}, questioned`;
+    return `${position}: ${number}, not revealed`;
+}
+
+
+/**
+ * draw the horizontal and vertical grid lines that separate cells on the canvas
+ * @param ctx - canvas context to draw to
+ * @param minesweeper - MinesweeperState of the game being drawn
+ * @param theme - the theme to render with
+ */
+const drawGridLines = (ctx, minesweeper, theme) => {
+    const num_rows = minesweeper.num_rows;
+    const num_cols = minesweeper.num_cols;
+
+    ctx.beginPath();
+    ctx.strokeStyle = theme.palette.grid;
+    ctx.lineWidth = 2;
+
+    // Vertical lines, one per column edge, as tall as the rows.
+    for (let i = 0; i <= num_cols; i++) {
+        ctx.moveTo(i * (CELL_SIZE + 1) + 1, 0);
+        ctx.lineTo(i * (CELL_SIZE + 1) + 1, (CELL_SIZE + 1) * num_rows + 1);
+    }
+
+    // Horizontal lines, one per row edge, as wide as the columns.
+    for (let j = 0; j <= num_rows; j++) {
+        ctx.moveTo(0,                           j * (CELL_SIZE + 1) + 1);
+        ctx.lineTo((CELL_SIZE + 1) * num_cols + 1, j * (CELL_SIZE + 1) + 1);
+    }
+
+    ctx.stroke();
+};
+
+
+/**
+ * draws all grid cells on the canvas, taking into account the cell's current state
+ * @param ctx - canvas context to render to
+ * @param minesweeper - MinesweeperState of the game being drawn
+ * @param theme - the theme to render with
+ */
+function drawGridCells(ctx, minesweeper, theme) {
+
+    for (let r = 0; r < minesweeper.num_rows; r++) {
+        for (let c = 0; c < minesweeper.num_cols; c++) {
+            drawCell(ctx, minesweeper, r, c, theme);
+        }
+    }
+}
+
+/**
+ * draws a single grid cell on the canvas, taking into account the cell's current state
+ * @param ctx - canvas context to render to
+ * @param minesweeper - MinesweeperState of the game being drawn
+ * @param r - row index of the cell
+ * @param c - col index of the cell
+ * @param theme - the theme to render with
+ */
+function drawCell(ctx, minesweeper, r, c, theme) {
+    if ( minesweeper.isHiddenCell(r, c) ) {
+        drawHiddenCell(ctx, r, c, theme);
+    } else if (minesweeper.isFlaggedCell(r, c)) {
+        drawHiddenCell(ctx, r, c, theme);  // clear the cell before drawing the flag
+        drawGlyph(ctx, r, c, theme, theme.glyphs.flag);
+    } else if (minesweeper.isQuestionedCell(r, c)) {
+        drawHiddenCell(ctx, r, c, theme);  // clear the cell before drawing the question mark
+        drawGlyph(ctx, r, c, theme, theme.glyphs.question);
+    } else {
+        drawRevealedCell(ctx, minesweeper, r, c, theme, theme.palette.revealedCell);
+    }
+}
+
+
+/**
+ * draws a hidden cell on the canvas, at row,col index. A "raised" theme bevel gives the cell a 3D "shading" effect
+ * @param ctx - the canvas context to draw to
+ * @param row - row index of the cell
+ * @param col - column index of the cell
+ * @param theme - the theme to render with
+ */
+function drawHiddenCell(ctx, row, col, theme) {
+    // compute the x/y coordinate offset for drawing at the correct position in the grid
+    const x = col * CELL_SIZE + col + 2;
+    const y = row * CELL_SIZE + row + 2;
+
+    const cell = new Path2D();
+    cell.rect(x, y, CELL_SIZE, CELL_SIZE);
+    ctx.fillStyle = theme.palette.hiddenCell;
+    ctx.fill(cell);
+    if (theme.bevel !== "raised") return;
+    // draw the top border of the cell
+    ctx.beginPath();
+    ctx.moveTo(x, y);
+    ctx.lineTo(x + BORDER_WIDTH, y + BORDER_WIDTH);
+    ctx.lineTo( x + CELL_SIZE - BORDER_WIDTH, y + BORDER_WIDTH);
+    ctx.lineTo( x + CELL_SIZE, y);
+    ctx.fillStyle = theme.palette.highlight;
+    ctx.fill();
+    // draw the left border of the cell
+    ctx.beginPath();
+    ctx.moveTo(x, y);
+    ctx.lineTo(x + BORDER_WIDTH, y + BORDER_WIDTH);
+    ctx.lineTo( x + BORDER_WIDTH, y + CELL_SIZE - BORDER_WIDTH);
+    ctx.lineTo( x, y + CELL_SIZE);
+    ctx.fillStyle = theme.palette.highlight;
+    ctx.fill();
+    // draw the right border of the cell
+    ctx.beginPath();
+    ctx.moveTo(x + CELL_SIZE, y);
+    ctx.lineTo( x + CELL_SIZE - BORDER_WIDTH, y + BORDER_WIDTH);
+    ctx.lineTo(x + CELL_SIZE - BORDER_WIDTH, y + CELL_SIZE - BORDER_WIDTH);
+    ctx.lineTo(x + CELL_SIZE, y + CELL_SIZE);
+    ctx.fillStyle = theme.palette.shade;
+    ctx.fill();
+    // draw the bottom border of the cell
+    ctx.beginPath();
+    ctx.moveTo(x + CELL_SIZE, y + CELL_SIZE);
+    ctx.lineTo( x + CELL_SIZE - BORDER_WIDTH, y + CELL_SIZE - BORDER_WIDTH);
+    ctx.lineTo(x + BORDER_WIDTH, y + CELL_SIZE - BORDER_WIDTH);
+    ctx.lineTo(x, y + CELL_SIZE);
+    ctx.fillStyle = theme.palette.shade;
+    ctx.fill();
+}
+
+
+/**
+ * crosses out a cell with a diagonal cross in the theme's wrongMark colour, i.e. to mark a wrong flag
+ * @param ctx - canvas context to draw to
+ * @param row - row index of the cell
+ * @param col - col index of the cell
+ * @param theme - the theme to render with
+ */
+function drawCross(ctx, row, col, theme) {
+    const inset = BORDER_WIDTH + 2;
+    const x = col * (CELL_SIZE + 1) + 2;
+    const y = row * (CELL_SIZE + 1) + 2;
+    ctx.beginPath();
+    ctx.moveTo(x + inset, y + inset);
+    ctx.lineTo(x + CELL_SIZE - inset, y + CELL_SIZE - inset);
+    ctx.moveTo(x + CELL_SIZE - inset, y + inset);
+    ctx.lineTo(x + inset, y + CELL_SIZE - inset);
+    ctx.strokeStyle = theme.palette.wrongMark;
+    ctx.lineWidth = 2;
+    ctx.stroke();
+}
+
+
+/**
+ * outlines a cell, inside its borders
+ * @param ctx - canvas context to draw to
+ * @param row - row index of the cell
+ * @param col - col index of the cell
+ * @param color - colour of the outline
+ */
+function drawOutline(ctx, row, col, color) {
+    const x = col * (CELL_SIZE + 1) + 2;
+    const y = row * (CELL_SIZE + 1) + 2;
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 2;
+    ctx.strokeRect(x + 1, y + 1, CELL_SIZE - 2, CELL_SIZE - 2);
+}
+
+
+/**
+ * draw a textual character in a grid cell, in the current fill style
+ * @param ctx - canvas context to draw to
+ * @param row - row index of the cell
+ * @param col - col index of the cell
+ * @param char - character to draw in the cell
+ * @param theme - the theme to render with
+ */
+function drawText(ctx, row, col, char, theme) {
+    // compute the x/y coordinate offset for drawing at the correct cell in the grid
+    const x = col * CELL_SIZE + col;
+    const y = row * CELL_SIZE + row;
+
+    ctx.font = theme.font;
+    // these next two offsets are used to center the text within a cell
+    const xOffset = Math.floor(CELL_SIZE * 0.40);
+    const yOffset = Math.floor(CELL_SIZE * 0.80);
+    ctx.fillText(char, x + xOffset, y + yOffset);
+}
+
+
+/**
+ * draw a theme glyph in a grid cell: text glyphs are drawn in the theme's text colour, sprite images are scaled to the
+ * inside of the cell. A sprite that has not finished loading is not drawn
+ * @param ctx - canvas context to draw to
+ * @param row - row index of the cell
+ * @param col - col index of the cell
+ * @param theme - the theme to render with
+ * @param glyph - a text glyph, or {src} of a sprite image
+ */
+function drawGlyph(ctx, row, col, theme, glyph) {
+    if (typeof glyph === 'string') {
+        ctx.fillStyle = theme.palette.text;
+        drawText(ctx, row, col, glyph, theme);
+        return;
+    }
+    const image = glyphImage(glyph.src);
+    if (image.complete && image.naturalWidth > 0) {
+        const x = col * (CELL_SIZE + 1) + 2 + BORDER_WIDTH;
+        const y = row * (CELL_SIZE + 1) + 2 + BORDER_WIDTH;
+        ctx.drawImage(image, x, y, CELL_SIZE - 2 * BORDER_WIDTH, CELL_SIZE - 2 * BORDER_WIDTH);
+    }
+}
+
+
+/**
+ * loads the image of a sprite glyph. Images are loaded once and shared by every view
+ * @param src - url of the image
+ * @returns {HTMLImageElement} the image, it may still be loading
+ */
+function glyphImage(src) {
+    if (!glyphImages.has(src)) {
+        const image = new Image();
+        image.src = src;
+        glyphImages.set(src, image);
+    }
+    return glyphImages.get(src);
+}
+
+
+/**
+ * draw a "revealed" cell on the canvas. A revealed cell, is a cell that has been clicked on by the player
+ * @param ctx - canvas context to draw to
+ * @param minesweeper - MinesweeperState of the game being drawn
+ * @param row - row index of the revealed cell
+ * @param col - col index of the revealed cell
+ * @param theme - the theme to render with
+ * @param bgColor - background color to use for drawing the cell
+ */
+function drawRevealedCell(ctx, minesweeper, row, col, theme, bgColor = theme.palette.revealedCell) {
+    const x = col * CELL_SIZE + col + 2;    // x origin
+    const y = row * CELL_SIZE + row + 2;    // y origin
+
+    const cell = new Path2D();
+    cell.rect(x, y, CELL_SIZE, CELL_SIZE);
+    ctx.fillStyle = bgColor;
+    ctx.fill(cell);
+
+    // if a cell contains a mine, then draw the mine glyph in the cell, else draw the adjacent mine count
+    if ( minesweeper.isMinedCell(row, col) ) {
+        drawGlyph(ctx, row, col, theme, theme.glyphs.mine);
+    } else {
+        const adjMineCount = minesweeper.cellAdjMineCount(row, col);
+        ctx.fillStyle = theme.numberColors[adjMineCount];
+        // a 0 has no colour and is not drawn
+        if (adjMineCount > 0) drawText(ctx, row, col, adjMineCount, theme);
+    }
+}
+
+
+/**
+ * clamps a value between min and max (inclusive)
+ */
+function clamp(value, min, max) {
+    return Math.min(Math.max(value, min), max);
+}
+
+
+/**
+ * formats a probability as a percentage, keeping a decimal for probabilities that would otherwise round to 0% or 100%
+ * @param probability - a probability between 0 and 1
+ * @returns {string} i.e. "37%" or "0.4%"
+ */
+function formatProbability(probability) {
+    const percent = probability * 100;
+    if (percent === 0 || percent === 100) return `${percent}%`;
+    return percent < 1 || percent > 99 ? `${percent.toFixed(1)}%` : `${Math.round(percent)}%`;
+}
+
+export {MAX_HEATMAP_CELLS, CanvasView, renderGrid, renderGameOver, describeGameOverCell, sizeCanvas};
@@ -0,0 +1,92 @@
+/**
+ * Cell size preferences. The board can be drawn with one of a few cell sizes (in CSS pixels), or sized to fit the
+ * viewport. The selected cell size is shared by all boards on the page and persisted in localStorage.
+ * The canvas draws the board in "board units" (see canvas-view.js): a cell is BOARD_CELL_SIZE units wide, every cell
+ * is followed by a grid line of one unit and the grid starts with one. The whole board is scaled to the cell size, so
+ * the grid lines grow with the cells.
+ */
+
+const STORAGE_KEY = "minesweeper.cellSize";
+
+// size of a cell, in board units
+const BOARD_CELL_SIZE = 25;
+
+// cell size value that sizes the cells so that the whole board fits the viewport
+const FIT_CELL_SIZE = "fit";
+
+// cell size used when none was selected, the size the board was always drawn with
+const DEFAULT_CELL_SIZE = 25;
+
+// smallest and largest cells a board fitted to the viewport is drawn with, in CSS pixels
+const MIN_FIT_CELL_SIZE = 12;
+const MAX_FIT_CELL_SIZE = 48;
+
+/**
+ * the cell sizes offered in the settings, with a human readable label
+ */
+const CELL_SIZES = Object.freeze([
+    {cellSize: FIT_CELL_SIZE, label: "Fit to screen"},
+    {cellSize: 16,            label: "Small"},
+    {cellSize: 25,            label: "Normal"},
+    {cellSize: 32,            label: "Large"},
+    {cellSize: 40,            label: "Extra large"},
+]);
+
+/**
+ * the size of a grid in board units, grid lines included
+ * @param rows - number of rows in the grid
+ * @param cols - number of columns in the grid
+ * @returns {object} {width, height} of the grid
+ */
+function boardSize(rows, cols) {
+    return {
+        width: (BOARD_CELL_SIZE + 1) * cols + 1,
+        height: (BOARD_CELL_SIZE + 1) * rows + 1,
+    };
+}
+
+/**
+ * computes the largest cell size at which a grid, grid lines included, fits an area
+ * @param rows - number of rows in the grid
+ * @param cols - number of columns in the grid
+ * @param width - width of the area, in CSS pixels
+ * @param height - height of the area, in CSS pixels
+ * @returns {number} the cell size in CSS pixels, between MIN_FIT_CELL_SIZE and MAX_FIT_CELL_SIZE
+ */
+function fitCellSize(rows, cols, width, height) {
+    // a grid drawn with cells of cellSize css px is boardSize * cellSize / BOARD_CELL_SIZE css px large
+    const board = boardSize(rows, cols);
+    const size = Math.floor(Math.min(width * BOARD_CELL_SIZE / board.width, height * BOARD_CELL_SIZE / board.height));
+    return Math.min(Math.max(size, MIN_FIT_CELL_SIZE), MAX_FIT_CELL_SIZE);
+}
+
+/**
+ * loads the cell size saved in localStorage
+ * @returns {number|string} the selected cell size in CSS pixels or FIT_CELL_SIZE, DEFAULT_CELL_SIZE if none was saved
+ */
+function loadCellSize() {
+    try {
+        const saved = window.localStorage.getItem(STORAGE_KEY);
+        const cellSize = saved === FIT_CELL_SIZE ? saved : Number(saved);
+        return CELL_SIZES.some(option => option.cellSize === cellSize) ? cellSize : DEFAULT_CELL_SIZE;
+    } catch (e) {
+        console.error("could not load the cell size", e);
+        return DEFAULT_CELL_SIZE;
+    }
+}
+
+/**
+ * saves the selected cell size to localStorage
+ * @param cellSize - cell size in CSS pixels, or FIT_CELL_SIZE
+ */
+function saveCellSize(cellSize) {
+    try {
+        window.localStorage.setItem(STORAGE_KEY, String(cellSize));
+    } catch (e) {
+        console.error("could not save the cell size", e);
+    }
+}
+
+export {
+    BOARD_CELL_SIZE, CELL_SIZES, FIT_CELL_SIZE, DEFAULT_CELL_SIZE, boardSize, fitCellSize, loadCellSize, saveCellSize
+};
@@ -0,0 +1,66 @@
+/**
+ * Difficulty presets and mine count helpers. A difficulty is described by its grid size and its number of mines
+ */
+
+/**
+ * the classic minesweeper difficulty presets
+ */
+const DIFFICULTY_PRESETS = Object.freeze({
+    beginner:     Object.freeze({name: 'Beginner',     rows: 9,  cols: 9,  mines: 10}),
+    intermediate: Object.freeze({name: 'Intermediate', rows: 16, cols: 16, mines: 40}),
+    expert:       Object.freeze({name: 'Expert',       rows: 16, cols: 30, mines: 99}),
+});
+
+// name of the difficulty used for any rows, cols, mines combination that doesn't match a preset
+const CUSTOM_DIFFICULTY = 'custom';
+
+// fraction of the cells that are mined when no mine count is given
+const DEFAULT_MINE_DENSITY = 0.15;
+
+// the largest grid a game can be played on
+const MAX_GRID_ROWS = 200;
+const MAX_GRID_COLS = 200;
+
+/**
+ * computes the default number of mines for a grid, which is 15% of its cells
+ * @param rows - number of rows in the grid
+ * @param cols - number of columns in the grid
+ * @returns {number} the default mine count
+ */
+function defaultMineCount(rows, cols) {
+    return Math.round(rows * cols * DEFAULT_MINE_DENSITY);
+}
+
+/**
+ * the largest number of mines a grid can hold. At least one cell is always left empty so that the game can be played
+ * @returns {number} the maximum mine count
+ */
+function maxMineCount(rows, cols) {
+    return rows * cols - 1;
+}
+
+/**
+ * converts a mine density (fraction of mined cells, 0..1) into a mine count for a grid
+ * @returns {number} the mine count, clamped between 1 and maxMineCount
+ */
+function mineCountFromDensity(rows, cols, density) {
+    const count = Math.round(rows * cols * density);
+    return Math.min(Math.max(count, 1), maxMineCount(rows, cols));
+}
+
+/**
+ * finds the preset matching a grid size and mine count
+ * @returns {string} the key of the matching preset in DIFFICULTY_PRESETS, or CUSTOM_DIFFICULTY
+ */
+function findDifficulty(rows, cols, mines) {
+    const key = Object.keys(DIFFICULTY_PRESETS).find(key => {
+        const preset = DIFFICULTY_PRESETS[key];
+        return preset.rows === rows && preset.cols === cols && preset.mines === mines;
+    });
+    return key || CUSTOM_DIFFICULTY;
+}
+
+export {
+    DIFFICULTY_PRESETS, CUSTOM_DIFFICULTY, MAX_GRID_ROWS, MAX_GRID_COLS, defaultMineCount, maxMineCount,
+    mineCountFromDensity, findDifficulty
+};
@@ -0,0 +1,53 @@
+/**
+ * A minimal event emitter used by the game classes to notify listeners (renderers, UI widgets, tests) about
+ * changes in game state. It has no DOM dependencies, so it can be used from Node as well as the browser.
+ */
+class EventEmitter {
+
+    constructor() {
+        this.listeners = new Map();
+    }
+
+    /**
+     * registers a listener function for the given event type
+     * @param type - name of the event to listen for
+     * @param listener - function that will be called with the event's payload
+     * @returns {function} a function that, when called, removes the listener
+     */
+    on(type, listener) {
+        if (!this.listeners.has(type)) {
+            this.listeners.set(type, new Set());
+        }
+        this.listeners.get(type).add(listener);
+        return () => this.off(type, listener);
+    }
+
+    /**
+     * removes a previously registered listener. The event type is forgotten with its last listener, so listeners.size
+     * counts the event types that are listened for
+     * @param type - name of the event the listener was registered for
+     * @param listener - the listener function to remove
+     */
+    off(type, listener) {
+        const typeListeners = this.listeners.get(type);
+        if (typeListeners) {
+            typeListeners.delete(listener);
+            if (typeListeners.size === 0) this.listeners.delete(type);
+        }
+    }
+
+    /**
+     * calls every listener registered for the event type with the given payload
+     * @param type - name of the event to emit
+     * @param payload - data passed to each listener
+     */
+    emit(type, payload) {
+        const typeListeners = this.listeners.get(type);
+        if (typeListeners) {
+            // copy the listeners so that a listener can safely remove itself while being called
+            [...typeListeners].forEach(listener => listener(payload));
+        }
+    }
+}
+
+export {EventEmitter};
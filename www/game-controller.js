@@ -0,0 +1,433 @@
+/**
+ * A headless game controller for minesweeper. It owns the MinesweeperState of the current game, the "seconds elapsed"
+ * timer and the won/lost transitions, and emits events whenever any of those change. It does not touch the DOM, so
+ * complete games can be driven from Node (i.e. tests) as well as from the canvas view.
+ *
+ * Events emitted:
+ *      'newGame'   - {state}               a new game was started (or a saved game was resumed)
+ *      'move'      - {action, row, col, changed}  a move was applied to a game that is still in progress. changed
+ *                                          holds the 1D indices of the cells whose state the move changed, so views
+ *                                          only need to redraw those
+ *      'tick'      - {elapsedTime}         the timer advanced by one second
+ *      'gameWon'   - {elapsedTime, elapsedMs}  the last move won the game
+ *      'gameLost'  - {elapsedTime, elapsedMs}  the last move lost the game
+ *      'gameResumed' - {}                  an undo took a won or lost game back into play
+ *      'historyChange' - {canUndo, canRedo}  the undo/redo history changed
+ *      'hint'      - {hint, hintsUsed}     a hint was given, see solver.js
+ *      'action'    - {action, row, col}    a move, undo or redo was applied. It is emitted before the 'move',
+ *                                          'gameWon' or 'gameLost' event of the action, i.e. to record games
+ *      'noGuessGenerated' - {mines, attempts, solvable}  the first reveal of a no-guess game generated its mine layout,
+ *                                          after the events of the reveal. solvable is false if generation gave up
+ *                                          (see no-guess.js)
+ *
+ * Undoing or redoing a move emits 'move' with the HistoryAction as its action (and 'gameWon'/'gameLost' if a redo
+ * ends the game).
+ */
+
+import {CellState} from "wasm-minesweeper";
+import {EventEmitter} from "./event-emitter";
+import {MinesweeperState} from "./minesweeper-state";
+import {defaultMineCount} from "./difficulty";
+import {DEFAULT_RULES} from "./rule-sets";
+import {MoveHistory} from "./move-history";
+import {findHint} from "./solver";
+
+// version of the data returned by saveData, bumped whenever its format changes
+const SAVE_VERSION = 1;
+
+/**
+ * the possible states of a game
+ */
+const GameStatus = Object.freeze({
+    Ready:   'ready',       // a new game that has not yet received a move
+    Playing: 'playing',     // at least one move was made and the game is not over
+    Won:     'won',
+    Lost:    'lost',
+});
+
+/**
+ * the history actions a player can take
+ */
+const HistoryAction = Object.freeze({
+    Undo: 'undo',
+    Redo: 'redo',
+});
+
+/**
+ * the moves a player can make on a cell
+ */
+const GameAction = Object.freeze({
+    Reveal:   'reveal',
+    Flag:     'flag',
+    Question: 'question',
+    Chord:    'chord',
+    Cycle:    'cycle',      // cycles hidden -> flagged -> questioned -> hidden
+});
+
+class GameController extends EventEmitter {
+
+    /**
+     * @param options.rows - number of rows in the grid
+     * @param options.cols - number of columns in the grid
+     * @param options.mines - number of mines in the grid, defaults to 15% of the cells
+     * @param options.safeArea - keep the neighbours of the first revealed cell free of mines (default false)
+     * @param options.noGuess - generate boards that can be solved without guessing (default false)
+     * @param options.rules - key of the RULE_SETS entry games are won and lost by (see rule-sets.js), defaults to
+     *                        DEFAULT_RULES
+     * @param options.timers - object with setInterval/clearInterval functions, defaults to the global timer functions
+     * @param options.now - function returning the current time in ms, defaults to Date.now. It times games to the ms
+     */
+    constructor({
+        rows = 8, cols = 8, mines = defaultMineCount(rows, cols), safeArea = false, noGuess = false,
+        rules = DEFAULT_RULES, timers = {setInterval, clearInterval}, now = Date.now
+    } = {}) {
+        super();
+        this.settings = {rows, cols, mines, safeArea, noGuess, rules};
+        this.timers = timers;
+        this.now = now;
+        this.timer = undefined;
+        // seconds shown by the timer, advanced by its 1 second ticks
+        this.elapsedTime = 0;
+        // ms played while the timer was stopped for the last time, and when the running timer was started
+        this.playedMs = 0;
+        this.timerStartedAt = undefined;
+        // number of hints given in the current game
+        this.hintsUsed = 0;
+        this.status = GameStatus.Ready;
+        this.minesweeper = undefined;
+        this.history = new MoveHistory();
+    }
+
+    /**
+     * @returns {MinesweeperState} the state of the current game
+     */
+    get state() {
+        return this.minesweeper;
+    }
+
+    /**
+     * @returns {number} ms played in the current game, the time the timer has been running
+     */
+    get elapsedMs() {
+        return this.playedMs + (this.timer === undefined ? 0 : this.now() - this.timerStartedAt);
+    }
+
+    /**
+     * @returns {boolean} true if the current game has been won or lost
+     */
+    get isGameOver() {
+        return this.status === GameStatus.Won || this.status === GameStatus.Lost;
+    }
+
+    /**
+     * starts a new game of minesweeper, discarding the current game (if any) and resetting the timer.
+     * Any setting that is not given is taken from the previous game
+     * @param settings.rows - number of rows in the new grid
+     * @param settings.cols - number of columns in the new grid
+     * @param settings.mines - number of mines in the new grid
+     * @param settings.safeArea - keep the neighbours of the first revealed cell free of mines
+     * @param settings.noGuess - generate a board that can be solved without guessing
+     * @param settings.rules - key of the RULE_SETS entry the game is won and lost by
+     * @param settings.seed - seed to generate the new grid from. Unlike the other settings the seed only applies to
+     *                        this game, a random seed is used when it is not given
+     * @returns {MinesweeperState} the state of the new game
+     */
+    newGame({seed, ...settings} = {}) {
+        const {rows, cols, mines, safeArea, noGuess, rules} = {...this.settings, ...settings};
+        const minesweeper = new MinesweeperState(rows, cols, {mines, safeArea, noGuess, rules, seed});
+        return this.startGame(minesweeper, GameStatus.Ready, {settings});
+    }
+
+    /**
+     * starts a game on a portable board (see board-format.js), discarding the current game (if any). Cells of the
+     * board may already be revealed or marked, the timer starts with the next move. The board is played by the
+     * current rules
+     * @param board - {rows, cols, mines, states}
+     * @returns {MinesweeperState} the state of the new game
+     */
+    loadBoard(board) {
+        const minesweeper = MinesweeperState.fromBoard(board, this.settings.rules);
+        const states = minesweeper.cellStates();
+        const status = minesweeper.isGameWon() ? GameStatus.Won
+            : minesweeper.isGameLost() ? GameStatus.Lost
+            : states.some(state => state !== CellState.Hidden) ? GameStatus.Playing
+            : GameStatus.Ready;
+        return this.startGame(minesweeper, status, {
+            settings: {
+                rows: board.rows, cols: board.cols, mines: minesweeper.totalMines(), safeArea: false, noGuess: false
+            }
+        });
+    }
+
+    /**
+     * captures the current game (its grid, timer and status) and the settings, as a plain JSON-serializable object
+     * that can be given to resume
+     * @returns {object|undefined} the saved game, or undefined if no game was started
+     */
+    saveData() {
+        if (!this.minesweeper) return undefined;
+        return {
+            version: SAVE_VERSION,
+            settings: this.settings,
+            state: this.minesweeper.toSnapshot(),
+            elapsedTime: this.elapsedTime,
+            elapsedMs: this.elapsedMs,
+            hintsUsed: this.hintsUsed,
+            status: this.status,
+        };
+    }
+
+    /**
+     * resumes a game saved with saveData, discarding the current game (if any). The undo history is not saved, so
+     * the resumed game starts with an empty history. The timer is paused until the next move
+     * @param data - object returned by saveData
+     * @returns {MinesweeperState} the state of the resumed game
+     */
+    resume(data) {
+        if (!data || data.version !== SAVE_VERSION) {
+            throw new Error(`unsupported saved game version: ${data && data.version}`);
+        }
+        const minesweeper = MinesweeperState.fromSnapshot(data.state);
+        const elapsedMs = data.elapsedMs === undefined ? data.elapsedTime * 1000 : data.elapsedMs;
+        return this.startGame(minesweeper, data.status, {
+            elapsedMs, hintsUsed: data.hintsUsed || 0, settings: data.settings
+        });
+    }
+
+    /**
+     * replaces the current game (if any) with a game whose state was created by the caller, resets the timer and
+     * the undo history and notifies listeners of the new game. The state of the replaced game is freed
+     * @param minesweeper - MinesweeperState of the game
+     * @param status - GameStatus of the game
+     * @param progress.elapsedMs - ms already played (default 0)
+     * @param progress.hintsUsed - hints already given (default 0)
+     * @param progress.settings - settings to merge into the controller's settings
+     * @returns {MinesweeperState} the state of the game
+     */
+    startGame(minesweeper, status, {elapsedMs = 0, hintsUsed = 0, settings} = {}) {
+        this.stopTimer();
+        this.settings = {...this.settings, ...settings};
+        this.elapsedTime = Math.floor(elapsedMs / 1000);
+        this.playedMs = elapsedMs;
+        this.hintsUsed = hintsUsed;
+        this.status = status;
+        // the grid of a state lives in wasm memory, which is only released by freeing the state
+        if (this.minesweeper && this.minesweeper !== minesweeper) this.minesweeper.free();
+        this.minesweeper = minesweeper;
+        this.history = new MoveHistory();
+        this.emit('newGame', {state: this.minesweeper});
+        this.emitHistoryChange();
+        return this.minesweeper;
+    }
+
+    /**
+     * @returns {boolean} true if there is a move that can be undone
+     */
+    get canUndo() {
+        return this.history.canUndo;
+    }
+
+    /**
+     * @returns {boolean} true if there is an undone move that can be redone
+     */
+    get canRedo() {
+        return this.history.canRedo;
+    }
+
+    /**
+     * undoes the last move, restoring the cell states, flag counter and game status from before it. Undoing the move
+     * that won or lost the game puts the game back into play and restarts the timer
+     */
+    undo() {
+        if (!this.minesweeper || !this.canUndo) return;
+        const entry = this.history.undo(this.minesweeper);
+        this.emit('action', {action: HistoryAction.Undo, row: entry.row, col: entry.col});
+        this.updateStatus(HistoryAction.Undo, entry.row, entry.col, entry.changes.map(({index}) => index));
+        this.emitHistoryChange();
+    }
+
+    /**
+     * re-applies the last undone move
+     */
+    redo() {
+        if (!this.minesweeper || !this.canRedo || this.isGameOver) return;
+        const entry = this.history.redo(this.minesweeper);
+        this.emit('action', {action: HistoryAction.Redo, row: entry.row, col: entry.col});
+        this.updateStatus(HistoryAction.Redo, entry.row, entry.col, entry.changes.map(({index}) => index));
+        this.emitHistoryChange();
+    }
+
+    /**
+     * asks the solver for a hint on the current game and counts it in the game's hints used
+     * @returns {object|undefined} the hint (see solver.js findHint), or undefined if the game is over or there is no
+     *                             cell left to suggest
+     */
+    hint() {
+        if (!this.minesweeper || this.isGameOver) return undefined;
+        const hint = findHint(this.minesweeper);
+        if (hint) {
+            this.hintsUsed += 1;
+            this.emit('hint', {hint, hintsUsed: this.hintsUsed});
+        }
+        return hint;
+    }
+
+    /**
+     * reveals the cell at row, col
+     */
+    reveal(row, col) {
+        this.applyMove(GameAction.Reveal, row, col);
+    }
+
+    /**
+     * toggles a flag on the cell at row, col
+     */
+    toggleFlag(row, col) {
+        this.applyMove(GameAction.Flag, row, col);
+    }
+
+    /**
+     * toggles a question mark on the cell at row, col
+     */
+    toggleQuestion(row, col) {
+        this.applyMove(GameAction.Question, row, col);
+    }
+
+    /**
+     * cycles the mark of the cell at row, col from hidden to flagged to questioned and back to hidden
+     */
+    cycleMark(row, col) {
+        this.applyMove(GameAction.Cycle, row, col);
+    }
+
+    /**
+     * reveals all un-flagged neighbours of the revealed cell at row, col if its adjacent flags match its number
+     */
+    chord(row, col) {
+        this.applyMove(GameAction.Chord, row, col);
+    }
+
+    /**
+     * applies a move to the current game, starts the timer on the first move that changes a cell and then checks if
+     * the game is won or lost. Moves made after the game is over are ignored
+     * @param action - one of the GameAction values
+     * @param row - row index of the cell
+     * @param col - column index of the cell
+     */
+    applyMove(action, row, col) {
+        if (!this.minesweeper || this.isGameOver) return;
+
+        const wasStarted = this.minesweeper.started;
+        const before = this.minesweeper.cellStates();
+        switch (action) {
+            case GameAction.Question:
+                this.minesweeper.toggleQuestion(row, col);
+                break;
+            case GameAction.Flag:
+                this.minesweeper.toggleFlag(row, col);
+                break;
+            case GameAction.Reveal:
+                this.minesweeper.revealCell(row, col);
+                break;
+            case GameAction.Chord:
+                this.minesweeper.chord(row, col);
+                break;
+            case GameAction.Cycle:
+                this.minesweeper.cycleMark(row, col);
+                break;
+            default:
+                throw new Error(`unknown game action: ${action}`);
+        }
+        const changes = this.history.record({action, row, col}, before, this.minesweeper.cellStates());
+        if (changes.length > 0) {
+            // the game starts with the first move that changes a cell (flagging or chording a revealed cell does
+            // nothing). The timer starts after the move, so that generating a no-guess board does not count towards
+            // the game's time, and also restarts a game paused by resume
+            if (this.status === GameStatus.Ready) {
+                this.status = GameStatus.Playing;
+            }
+            if (this.timer === undefined) {
+                this.startTimer();
+            }
+            this.emitHistoryChange();
+        }
+
+        this.emit('action', {action, row, col});
+        this.updateStatus(action, row, col, changes.map(({index}) => index));
+        if (!wasStarted && this.minesweeper.started && this.minesweeper.noGuessResult) {
+            this.emit('noGuessGenerated', this.minesweeper.noGuessResult);
+        }
+    }
+
+    /**
+     * checks if the game is won or lost after a move, and notifies listeners about the move or the end of the game.
+     * A game that was over and no longer is (because a move was undone) is resumed
+     * @param action - the GameAction or HistoryAction that was applied
+     * @param changed - 1D indices of the cells whose state the action changed
+     */
+    updateStatus(action, row, col, changed) {
+        if (this.minesweeper.isGameWon()) {
+            this.endGame(GameStatus.Won, 'gameWon');
+        } else if (this.minesweeper.isGameLost()) {
+            this.endGame(GameStatus.Lost, 'gameLost');
+        } else {
+            if (this.isGameOver) {
+                this.status = GameStatus.Playing;
+                this.startTimer();
+                this.emit('gameResumed', {});
+            }
+            this.emit('move', {action, row, col, changed});
+        }
+    }
+
+    /**
+     * stops the timer, records the final status and notifies listeners that the game is over
+     */
+    endGame(status, eventType) {
+        this.stopTimer();
+        this.status = status;
+        this.emit(eventType, {elapsedTime: this.elapsedTime, elapsedMs: this.elapsedMs});
+    }
+
+    /**
+     * notifies listeners that moves can now be (or can no longer be) undone or redone
+     */
+    emitHistoryChange() {
+        this.emit('historyChange', {canUndo: this.canUndo, canRedo: this.canRedo});
+    }
+
+    /**
+     * starts the "seconds elapsed" timer
+     */
+    startTimer() {
+        this.timerStartedAt = this.now();
+        this.timer = this.timers.setInterval(() => {
+            this.elapsedTime += 1;
+            this.emit('tick', {elapsedTime: this.elapsedTime});
+        }, 1000);
+    }
+
+    /**
+     * stops the "seconds elapsed" timer (if it is running)
+     */
+    stopTimer() {
+        if (this.timer !== undefined) {
+            this.playedMs += this.now() - this.timerStartedAt;
+            this.timers.clearInterval(this.timer);
+            this.timer = undefined;
+        }
+    }
+
+    /**
+     * stops the timer, frees the state of the current game and removes all listeners. The controller should not be
+     * used after it is disposed
+     */
+    dispose() {
+        this.stopTimer();
+        if (this.minesweeper) this.minesweeper.free();
+        this.minesweeper = undefined;
+        this.listeners.clear();
+    }
+}
+
+export {GameController, GameStatus, GameAction, HistoryAction};
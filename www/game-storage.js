@@ -0,0 +1,111 @@
+/**
+ * Saved games. A board's current game is autosaved to localStorage (under a key of its own, so several boards on a
+ * page don't overwrite each other) so that it can be resumed when the page is reloaded. Games can also be saved to
+ * named slots, which are shared by every board on the page.
+ * The saved games are the objects returned by GameController.saveData.
+ */
+
+const AUTOSAVE_KEY_PREFIX = "minesweeper.autosave.";
+const SLOTS_KEY = "minesweeper.saveSlots";
+
+/**
+ * reads and parses a JSON value from localStorage
+ * @returns {*} the parsed value, or undefined if there is no value or it can't be read
+ */
+function readJson(key) {
+    try {
+        const value = window.localStorage.getItem(key);
+        return value === null ? undefined : JSON.parse(value);
+    } catch (e) {
+        console.error(`could not read ${key}`, e);
+        return undefined;
+    }
+}
+
+/**
+ * serializes a value as JSON and writes it to localStorage
+ */
+function writeJson(key, value) {
+    try {
+        window.localStorage.setItem(key, JSON.stringify(value));
+    } catch (e) {
+        console.error(`could not save ${key}`, e);
+    }
+}
+
+/**
+ * loads the autosaved game of a board
+ * @param key - the board's autosave key
+ * @returns {object|undefined} the saved game, or undefined if there is none
+ */
+function loadAutosave(key) {
+    return readJson(AUTOSAVE_KEY_PREFIX + key);
+}
+
+/**
+ * autosaves the current game of a board, replacing its previous autosave
+ * @param key - the board's autosave key
+ * @param data - the saved game
+ */
+function saveAutosave(key, data) {
+    writeJson(AUTOSAVE_KEY_PREFIX + key, data);
+}
+
+/**
+ * removes the autosaved game of a board (if any)
+ * @param key - the board's autosave key
+ */
+function clearAutosave(key) {
+    try {
+        window.localStorage.removeItem(AUTOSAVE_KEY_PREFIX + key);
+    } catch (e) {
+        console.error("could not clear autosave", e);
+    }
+}
+
+/**
+ * @returns {object} slot name to {savedAt, data} map of every save slot
+ */
+function loadSlots() {
+    return readJson(SLOTS_KEY) || {};
+}
+
+/**
+ * lists the save slots
+ * @returns {Array} {name, savedAt} of every save slot, sorted by name. savedAt is a millisecond timestamp
+ */
+function listSlots() {
+    const slots = loadSlots();
+    return Object.keys(slots).sort().map(name => ({name, savedAt: slots[name].savedAt}));
+}
+
+/**
+ * saves a game to a named slot, replacing the game saved in the slot (if any)
+ * @param name - name of the slot
+ * @param data - the saved game
+ */
+function saveSlot(name, data) {
+    writeJson(SLOTS_KEY, {...loadSlots(), [name]: {savedAt: Date.now(), data}});
+}
+
+/**
+ * loads the game saved in a named slot
+ * @param name - name of the slot
+ * @returns {object|undefined} the saved game, or undefined if there is no such slot
+ */
+function loadSlot(name) {
+    const slot = loadSlots()[name];
+    return slot && slot.data;
+}
+
+/**
+ * deletes a named slot
+ * @param name - name of the slot
+ */
+function deleteSlot(name) {
+    const slots = loadSlots();
+    delete slots[name];
+    writeJson(SLOTS_KEY, slots);
+}
+
+export {loadAutosave, saveAutosave, clearAutosave, listSlots, saveSlot, loadSlot, deleteSlot};
@@ -0,0 +1,113 @@
+/**
+ * Mouse input bindings. A binding maps a mouse "gesture" (a mouse button plus an optional modifier key, e.g.
+ * "shift+left") to the GameAction that the gesture performs on a cell. Bindings can be remapped by the player in the
+ * settings panel and are persisted in localStorage.
+ */
+
+import {GameAction} from "./game-controller";
+
+const STORAGE_KEY = "minesweeper.inputBindings";
+
+// action value of a gesture that does nothing
+const NO_ACTION = "none";
+
+// names of the mouse buttons, indexed by MouseEvent.button
+const BUTTON_NAMES = ["left", "middle", "right"];
+
+// the modifier keys, in the order they are checked when more than one is held down
+const MODIFIERS = ["ctrl", "shift", "alt", "meta"];
+
+/**
+ * every gesture that can be bound to an action, with a human readable label
+ */
+const GESTURES = Object.freeze([
+    {gesture: "left",        label: "Left Click"},
+    {gesture: "shift+left",  label: "Shift+Left Click"},
+    {gesture: "ctrl+left",   label: "Ctrl+Left Click"},
+    {gesture: "alt+left",    label: "Alt+Left Click"},
+    {gesture: "meta+left",   label: "Cmd/Win+Left Click"},
+    {gesture: "right",       label: "Right Click"},
+    {gesture: "shift+right", label: "Shift+Right Click"},
+    {gesture: "middle",      label: "Middle Click"},
+    {gesture: "left+right",  label: "Left+Right Click"},
+]);
+
+/**
+ * the actions a gesture can be bound to, with a human readable label
+ */
+const BINDABLE_ACTIONS = Object.freeze([
+    {action: GameAction.Reveal,   label: "Reveal"},
+    {action: GameAction.Flag,     label: "Flag"},
+    {action: GameAction.Question, label: "Question"},
+    {action: GameAction.Cycle,    label: "Cycle flag/question"},
+    {action: GameAction.Chord,    label: "Chord"},
+    {action: NO_ACTION,           label: "Nothing"},
+]);
+
+/**
+ * the default bindings
+ */
+const DEFAULT_BINDINGS = Object.freeze({
+    "left":        GameAction.Reveal,
+    "shift+left":  GameAction.Flag,
+    "ctrl+left":   GameAction.Question,
+    "alt+left":    NO_ACTION,
+    "meta+left":   NO_ACTION,
+    "right":       GameAction.Cycle,
+    "shift+right": NO_ACTION,
+    "middle":      GameAction.Chord,
+    "left+right":  GameAction.Chord,
+});
+
+/**
+ * builds the gesture name of a mouse event
+ * @param event - a mouse event
+ * @param button - name of the button that was used, defaults to the name of the event's button
+ * @returns {string} the gesture, i.e. "left", "shift+left", "left+right"
+ */
+function gestureFromEvent(event, button = BUTTON_NAMES[event.button]) {
+    const modifier = MODIFIERS.find(modifier => event[`${modifier}Key`]);
+    return modifier && button !== "left+right" ? `${modifier}+${button}` : button;
+}
+
+/**
+ * looks up the action bound to a gesture
+ * @param bindings - gesture to action map
+ * @param gesture - a gesture name
+ * @returns {string|undefined} the GameAction bound to the gesture, or undefined if the gesture does nothing
+ */
+function actionForGesture(bindings, gesture) {
+    const action = bindings[gesture];
+    return action === NO_ACTION ? undefined : action;
+}
+
+/**
+ * loads the bindings saved in localStorage. Gestures that were never saved get their default action
+ * @returns {object} gesture to action map
+ */
+function loadBindings() {
+    try {
+        const saved = JSON.parse(window.localStorage.getItem(STORAGE_KEY)) || {};
+        return {...DEFAULT_BINDINGS, ...saved};
+    } catch (e) {
+        console.error("could not load input bindings", e);
+        return {...DEFAULT_BINDINGS};
+    }
+}
+
+/**
+ * saves bindings to localStorage
+ * @param bindings - gesture to action map
+ */
+function saveBindings(bindings) {
+    try {
+        window.localStorage.setItem(STORAGE_KEY, JSON.stringify(bindings));
+    } catch (e) {
+        console.error("could not save input bindings", e);
+    }
+}
+
+export {
+    GESTURES, BINDABLE_ACTIONS, DEFAULT_BINDINGS, NO_ACTION,
+    gestureFromEvent, actionForGesture, loadBindings, saveBindings
+};
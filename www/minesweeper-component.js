@@ -0,0 +1,1050 @@
+/**
+ * A self-contained, mountable minesweeper board. Each mounted component creates its own canvas, counters, smiley
+ * button and settings panel inside a container element, and keeps all of its state (GameController, CanvasView,
+ * timer) per instance, so several boards can live on the same page.
+ */
+
+import {GameController, GameStatus} from "./game-controller";
+import {CanvasView, MAX_HEATMAP_CELLS} from "./canvas-view";
+import {AccessibleGrid} from "./accessible-grid";
+import {parseSeed} from "./seed";
+import {ReplayRecorder, parseRecording} from "./replay";
+import {HintKind} from "./solver";
+import {ReplayViewer} from "./replay-viewer";
+import {
+    categoryKey, categoryLabel, emptyCategory, loadStatistics, resetStatistics, recordGame, winTimeDistribution,
+    formatTime
+} from "./statistics";
+import {formatBoard, parseBoard, encodeBoard} from "./board-format";
+import {loadAutosave, saveAutosave, clearAutosave, listSlots, saveSlot, loadSlot, deleteSlot} from "./game-storage";
+import {GESTURES, BINDABLE_ACTIONS, DEFAULT_BINDINGS, loadBindings, saveBindings} from "./input-bindings";
+import {THEMES, themeByKey, loadTheme, saveTheme} from "./themes";
+import {CELL_SIZES, loadCellSize, saveCellSize} from "./cell-size";
+import {RULE_SETS, DEFAULT_RULES} from "./rule-sets";
+import {
+    DIFFICULTY_PRESETS, CUSTOM_DIFFICULTY, MAX_GRID_ROWS, MAX_GRID_COLS, defaultMineCount, maxMineCount,
+    mineCountFromDensity, findDifficulty
+} from "./difficulty";
+
+const SMILEY_OPEN       = '\uD83D\uDE03';       // smiley face with open smile
+const SMILEY_FROWN      = '\uD83D\uDE1E';       // smiley face frowning
+const SMILEY_SHADES     = '\uD83D\uDE0E';       // smiley face with sunglasses on
+const TRIANGLE_FLAG     = '\uD83D\uDEA9';       // Triangle Flag shown on the flag mode button
+const HEATMAP_TITLE     = "Colour hidden cells by their chance of being a mine";
+const EXPORT_TITLE      = "Write the board to the text box";
+
+const MIN_GRID_LENGTH   = 8;                    // minimum number of rows/columns selectable in the settings sliders
+
+// used to give the form elements of every mounted component unique ids
+let instanceCount = 0;
+
+// the component the player last interacted with, it receives the page-wide undo/redo keyboard shortcuts
+let activeComponent;
+
+/**
+ * builds the inner HTML of a component
+ * @param id - unique prefix for element ids within the component
+ */
+const componentTemplate = (id) => `
+    <h3 class="result-header"> </h3>
+    <div class="info-bar">
+      <div class="mine-counter">000</div>
+      <button class="game-btn" type="button"></button>
+      <div class="timer">000</div>
+    </div>
+    <div class="grid-viewport">
+      <canvas class="grid-canvas" aria-hidden="true"></canvas>
+    </div>
+    <div class="aria-grid visually-hidden"></div>
+    <div class="live-region visually-hidden"></div>
+    <div class="button-row">
+      <button class="undo-btn btn" type="button" title="Undo (Ctrl+Z)" disabled>&#8630; Undo</button>
+      <button class="redo-btn btn" type="button" title="Redo (Ctrl+Y)" disabled>Redo &#8631;</button>
+      <button class="flag-mode-btn btn" type="button" aria-pressed="false"></button>
+      <button class="hint-btn btn" type="button" title="Hint (H)">&#128161; Hint</button>
+      <button class="heatmap-btn btn" type="button" aria-pressed="false" title="${HEATMAP_TITLE}">Heatmap</button>
+      <button class="inspect-btn btn" type="button" aria-pressed="false" disabled
+              title="Show every cell of the finished game, hover a cell to see what it was">Inspect board</button>
+    </div>
+    <div class="hint-text" aria-live="polite"></div>
+    <div class="replay-bar button-row">
+      <button class="replay-watch-btn btn" type="button">Watch replay</button>
+      <button class="replay-download-btn btn" type="button">Download replay</button>
+      <label class="replay-open-btn btn">Open replay<input type="file" class="replay-file-input"
+             accept=".json,application/json" hidden></label>
+    </div>
+    <div class="replay-panel" hidden>
+      <div class="replay-viewer"></div>
+      <button class="replay-close-btn btn" type="button">Close replay</button>
+    </div>
+    <div class="seed-bar">
+      <span class="seed-label">Seed:</span> <a class="seed-link" title="link to this board"></a>
+    </div>
+    <footer class="settings-footer">
+      <div class="button-row">
+        <button class="settings-btn btn" type="button">Settings &#9881;</button>
+      </div>
+      <div class="settings-sliders">
+        <div class="slider-group">
+          <label for="${id}-difficulty">Difficulty:</label>
+          <select id="${id}-difficulty" class="difficulty-select">
+            ${Object.keys(DIFFICULTY_PRESETS).map(key => {
+                const {name, rows, cols, mines} = DIFFICULTY_PRESETS[key];
+                return `<option value="${key}">${name} (${rows}x${cols}, ${mines} mines)</option>`;
+            }).join('')}
+            <option value="${CUSTOM_DIFFICULTY}">Custom</option>
+          </select>
+        </div>
+        <div class="slider-group">
+          <label for="${id}-row-slider">Rows:</label>
+          <input type="range" id="${id}-row-slider" class="slider row-slider" name="rows"
+                 min="${MIN_GRID_LENGTH}" max="${MAX_GRID_ROWS}">
+          <span class="slider-output row-slider-output"></span>
+        </div>
+        <div class="slider-group">
+          <label for="${id}-col-slider">Cols:</label>
+          <input type="range" id="${id}-col-slider" class="slider col-slider" name="cols"
+                 min="${MIN_GRID_LENGTH}" max="${MAX_GRID_COLS}">
+          <span class="slider-output col-slider-output"></span>
+        </div>
+        <div class="slider-group">
+          <label for="${id}-mine-slider">Mines:</label>
+          <input type="range" id="${id}-mine-slider" class="slider mine-slider" name="mines" min="1">
+          <span class="slider-output mine-slider-output"></span>
+        </div>
+        <div class="slider-group">
+          <label for="${id}-safe-area">Keep first click's neighbours free of mines:</label>
+          <input type="checkbox" id="${id}-safe-area" class="safe-area-checkbox">
+        </div>
+        <div class="slider-group">
+          <label for="${id}-no-guess">No-guess boards (solvable without guessing):</label>
+          <input type="checkbox" id="${id}-no-guess" class="no-guess-checkbox">
+        </div>
+        <div class="slider-group">
+          <label for="${id}-rules">Rules:</label>
+          <select id="${id}-rules" class="rules-select">
+            ${Object.keys(RULE_SETS).map(key => `<option value="${key}">${RULE_SETS[key].name}</option>`).join('')}
+          </select>
+        </div>
+        <div class="slider-group">
+          <label for="${id}-theme">Theme:</label>
+          <select id="${id}-theme" class="theme-select">
+            ${Object.keys(THEMES).map(key => `<option value="${key}">${THEMES[key].name}</option>`).join('')}
+          </select>
+        </div>
+        <div class="slider-group">
+          <label for="${id}-cell-size">Cell size:</label>
+          <select id="${id}-cell-size" class="cell-size-select">
+            ${CELL_SIZES.map(({cellSize, label}) => `<option value="${cellSize}">${label}</option>`).join('')}
+          </select>
+        </div>
+        <div class="slider-group">
+          <label for="${id}-seed-input">Seed:</label>
+          <input type="text" id="${id}-seed-input" class="seed-input" inputmode="numeric" size="10">
+          <button class="seed-btn" type="button">Play seed</button>
+        </div>
+        <fieldset class="bindings-group">
+          <legend>Mouse bindings</legend>
+          ${GESTURES.map(({gesture, label}) => `
+          <div class="slider-group">
+            <label for="${id}-binding-${gesture}">${label}:</label>
+            <select id="${id}-binding-${gesture}" class="binding-select" data-gesture="${gesture}">
+              ${BINDABLE_ACTIONS.map(({action, label}) => `<option value="${action}">${label}</option>`).join('')}
+            </select>
+          </div>`).join('')}
+          <button class="bindings-reset-btn" type="button">Reset bindings</button>
+        </fieldset>
+        <fieldset class="board-group">
+          <legend>Board</legend>
+          <textarea id="${id}-board-text" class="board-text" rows="6" cols="32" spellcheck="false"
+                    aria-label="Board text"></textarea>
+          <div class="button-row">
+            <button class="board-export-btn" type="button" title="${EXPORT_TITLE}">Export</button>
+            <button class="board-import-btn" type="button">Import</button>
+            <a class="board-link" title="link to the exported board" hidden>Board link</a>
+          </div>
+        </fieldset>
+        <fieldset class="slots-group">
+          <legend>Saved games</legend>
+          <div class="slider-group">
+            <label for="${id}-slot-name">Name:</label>
+            <input type="text" id="${id}-slot-name" class="slot-name-input" size="12">
+            <button class="slot-save-btn" type="button">Save</button>
+          </div>
+          <div class="slider-group">
+            <label for="${id}-slot-select">Slot:</label>
+            <select id="${id}-slot-select" class="slot-select"></select>
+            <button class="slot-load-btn" type="button">Load</button>
+            <button class="slot-delete-btn" type="button">Delete</button>
+          </div>
+        </fieldset>
+      </div>
+    </footer>
+    <footer class="stats-footer">
+      <div class="button-row">
+        <button class="stats-btn settings-btn btn" type="button">Statistics &#128202;</button>
+      </div>
+      <div class="stats-panel">
+        <div class="slider-group">
+          <label for="${id}-stats-category">Category:</label>
+          <select id="${id}-stats-category" class="stats-category"></select>
+        </div>
+        <dl class="stats-summary"></dl>
+        <div class="stats-distribution" aria-label="Distribution of winning times"></div>
+        <table class="stats-best-times">
+          <caption>Best times</caption>
+          <thead><tr><th>Category</th><th>Best</th><th>Played</th><th>Won</th></tr></thead>
+          <tbody></tbody>
+        </table>
+        <button class="stats-reset-btn" type="button">Reset statistics</button>
+      </div>
+    </footer>`;
+
+class MinesweeperComponent {
+
+    /**
+     * renders a new minesweeper board into the container element and starts a game on it
+     * @param container - DOM element that will hold the board
+     * @param options.rows - initial number of rows in the grid (default 8)
+     * @param options.cols - initial number of columns in the grid (default 8)
+     * @param options.mines - initial number of mines in the grid (default 15% of the cells)
+     * @param options.difficulty - key of a DIFFICULTY_PRESETS entry, overrides rows, cols and mines when given
+     * @param options.safeArea - keep the neighbours of the first revealed cell free of mines (default false)
+     * @param options.noGuess - generate boards that can be solved without guessing (default false)
+     * @param options.rules - key of the RULE_SETS entry games are won and lost by (see rule-sets.js), defaults to
+     *                        DEFAULT_RULES
+     * @param options.seed - seed of the first game, a random seed is used if not given
+     * @param options.board - portable board (see board-format.js) to play in the first game, overrides the seed
+     * @param options.showSettings - whether the settings button and panel are shown (default true)
+     * @param options.showStatistics - whether the statistics button and panel are shown (default true)
+     * @param options.saveKey - if given, the current game is autosaved in localStorage under this key after every
+     *                          move (and with its elapsed time when the page is hidden), and the autosaved game is
+     *                          resumed instead of starting a new one (unless a seed or board is given). Every board on
+     *                          a page needs its own key
+     */
+    constructor(container, {
+        rows = 8, cols = 8, mines, difficulty, safeArea = false, noGuess = false, rules = DEFAULT_RULES, seed, board,
+        showSettings = true, showStatistics = true, saveKey
+    } = {}) {
+        const preset = DIFFICULTY_PRESETS[difficulty];
+        rows = clamp(rows, MIN_GRID_LENGTH, MAX_GRID_ROWS);
+        cols = clamp(cols, MIN_GRID_LENGTH, MAX_GRID_COLS);
+        this.container = container;
+        this.num_rows = preset ? preset.rows : rows;
+        this.num_cols = preset ? preset.cols : cols;
+        this.num_mines = preset ? preset.mines : Math.min(
+            mines === undefined ? defaultMineCount(rows, cols) : mines, maxMineCount(rows, cols));
+        this.safeArea = safeArea;
+        this.noGuess = noGuess;
+        this.rules = rules;
+        this.saveKey = saveKey;
+
+        container.classList.add("minesweeper");
+        const id = `minesweeper-${++instanceCount}`;
+        container.innerHTML = componentTemplate(id);
+
+        // UI elements of this component
+        const find = (selector) => container.querySelector(selector);
+        this.canvas = find(".grid-canvas");
+        this.gameBtn = find(".game-btn");
+        this.mineCounter = find(".mine-counter");
+        this.timerOutput = find(".timer");
+        this.resultHeader = find(".result-header");
+        this.flagModeBtn = find(".flag-mode-btn");
+        this.heatmapBtn = find(".heatmap-btn");
+        this.inspectBtn = find(".inspect-btn");
+        this.undoBtn = find(".undo-btn");
+        this.redoBtn = find(".redo-btn");
+        this.hintBtn = find(".hint-btn");
+        this.hintText = find(".hint-text");
+        this.settingsFooter = find(".settings-footer");
+        this.settingsBtn = find(".settings-btn");
+        this.settingsSliders = find(".settings-sliders");
+        this.statsFooter = find(".stats-footer");
+        this.statsBtn = find(".stats-btn");
+        this.statsPanel = find(".stats-panel");
+        this.statsCategorySelect = find(".stats-category");
+        this.statsSummary = find(".stats-summary");
+        this.statsDistribution = find(".stats-distribution");
+        this.statsBestTimes = find(".stats-best-times tbody");
+        this.statsResetBtn = find(".stats-reset-btn");
+        this.rowSlider = find(".row-slider");
+        this.colSlider = find(".col-slider");
+        this.mineSlider = find(".mine-slider");
+        this.rowOutput = find(".row-slider-output");
+        this.colOutput = find(".col-slider-output");
+        this.mineOutput = find(".mine-slider-output");
+        this.difficultySelect = find(".difficulty-select");
+        this.safeAreaCheckbox = find(".safe-area-checkbox");
+        this.noGuessCheckbox = find(".no-guess-checkbox");
+        this.rulesSelect = find(".rules-select");
+        this.themeSelect = find(".theme-select");
+        this.cellSizeSelect = find(".cell-size-select");
+        this.seedLabel = find(".seed-label");
+        this.seedLink = find(".seed-link");
+        this.seedInput = find(".seed-input");
+        this.seedBtn = find(".seed-btn");
+        this.bindingSelects = [...container.querySelectorAll(".binding-select")];
+        this.bindingsResetBtn = find(".bindings-reset-btn");
+        this.boardText = find(".board-text");
+        this.boardExportBtn = find(".board-export-btn");
+        this.boardImportBtn = find(".board-import-btn");
+        this.boardLink = find(".board-link");
+        this.replayWatchBtn = find(".replay-watch-btn");
+        this.replayDownloadBtn = find(".replay-download-btn");
+        this.replayFileInput = find(".replay-file-input");
+        this.replayPanel = find(".replay-panel");
+        this.replayViewerElement = find(".replay-viewer");
+        this.replayCloseBtn = find(".replay-close-btn");
+        this.replayViewer = undefined;
+        this.slotNameInput = find(".slot-name-input");
+        this.slotSaveBtn = find(".slot-save-btn");
+        this.slotSelect = find(".slot-select");
+        this.slotLoadBtn = find(".slot-load-btn");
+        this.slotDeleteBtn = find(".slot-delete-btn");
+
+        // main object that holds the game state, the canvas view renders every game it starts
+        this.controller = new GameController({
+            rows: this.num_rows, cols: this.num_cols, mines: this.num_mines, safeArea: this.safeArea,
+            noGuess: this.noGuess, rules: this.rules
+        });
+        // records every game, so that it can be watched again or downloaded
+        this.recorder = new ReplayRecorder(this.controller);
+        // mouse bindings are shared by all boards through localStorage, the view reads them on every gesture
+        this.bindings = loadBindings();
+        // the theme is shared by all boards through localStorage too
+        this.themeKey = loadTheme();
+        container.dataset.theme = this.themeKey;
+        this.view = new CanvasView(this.canvas, this.controller, {
+            bindings: this.bindings, theme: themeByKey(this.themeKey), cellSize: loadCellSize()
+        });
+        // keyboard and screen reader access to the board
+        this.accessibleGrid = new AccessibleGrid(
+            find(".aria-grid"), find(".live-region"), this.controller, this.view, id);
+
+        this.bindControls();
+        this.bindControllerEvents();
+        this.initializeSliders();
+        this.initializeBindings();
+        this.themeSelect.value = this.themeKey;
+        this.cellSizeSelect.value = String(this.view.cellSize);
+        this.renderSlots();
+        this.setFlagMode(false);
+        this.settingsSliders.style.display = "none";
+        this.settingsFooter.style.display = showSettings ? "" : "none";
+        this.statsPanel.style.display = "none";
+        this.statsFooter.style.display = showStatistics ? "" : "none";
+
+        const autosave = saveKey !== undefined && seed === undefined && !board ? loadAutosave(saveKey) : undefined;
+        if (board ? !this.loadBoard(board) : !autosave || !this.resume(autosave)) {
+            this.newGame(seed);
+        }
+    }
+
+    /**
+     * adds listeners to the smiley button, the settings button, the difficulty select and the row,col,mine sliders
+     */
+    bindControls() {
+        // click listener for the 'smiley' face button
+        this.gameBtn.addEventListener('click', () => { this.newGame() });
+
+        // toggles flag mode, which swaps the actions of a tap and a long press on touch screens
+        this.flagModeBtn.addEventListener('click', () => this.setFlagMode(!this.view.flagMode));
+
+        // shows or hides the mine probability heatmap
+        this.heatmapBtn.addEventListener('click', () => {
+            this.view.setShowHeatmap(!this.view.showHeatmap);
+            this.renderHeatmapButton();
+        });
+
+        // shows every cell of a finished game
+        this.inspectBtn.addEventListener('click', () => {
+            this.view.setInspecting(!this.view.inspecting);
+            this.renderInspectButton();
+        });
+
+        this.hintBtn.addEventListener('click', () => {
+            if (!this.controller.hint()) this.hintText.innerText = "No hint available.";
+        });
+
+        this.undoBtn.addEventListener('click', () => this.controller.undo());
+        this.redoBtn.addEventListener('click', () => this.controller.redo());
+
+        // Ctrl+Z / Ctrl+Y (and Ctrl+Shift+Z) undo and redo moves on the board the player last interacted with
+        this.containerPointerDownListener = () => { activeComponent = this };
+        this.container.addEventListener('pointerdown', this.containerPointerDownListener);
+        this.container.addEventListener('focusin', this.containerPointerDownListener);
+        this.documentKeyDownListener = (event) => this.undoKeyListener(event);
+        document.addEventListener('keydown', this.documentKeyDownListener);
+        activeComponent = this;
+
+        // input listeners for the row,col,mine sliders
+        const sliderInputListener = (event) => this.sliderInputListener(event);
+        this.rowSlider.addEventListener('input', sliderInputListener);
+        this.colSlider.addEventListener('input', sliderInputListener);
+        this.mineSlider.addEventListener('input', sliderInputListener);
+
+        this.difficultySelect.addEventListener('change', () => this.difficultyChangeListener());
+
+        this.safeAreaCheckbox.addEventListener('change', () => {
+            this.safeArea = this.safeAreaCheckbox.checked;
+            this.newGame();
+        });
+
+        this.noGuessCheckbox.addEventListener('change', () => {
+            this.noGuess = this.noGuessCheckbox.checked;
+            this.newGame();
+        });
+
+        this.rulesSelect.addEventListener('change', () => {
+            this.rules = this.rulesSelect.value;
+            this.newGame();
+        });
+
+        // remaps a gesture to the selected action and persists the bindings
+        this.bindingSelects.forEach(select => select.addEventListener('change', () => {
+            this.bindings[select.dataset.gesture] = select.value;
+            saveBindings(this.bindings);
+        }));
+
+        this.bindingsResetBtn.addEventListener('click', () => {
+            Object.assign(this.bindings, DEFAULT_BINDINGS);
+            saveBindings(this.bindings);
+            this.initializeBindings();
+        });
+
+        // applies the selected theme to the game in progress (and the replay being viewed) and persists it
+        this.themeSelect.addEventListener('change', () => {
+            this.setTheme(this.themeSelect.value);
+            saveTheme(this.themeKey);
+        });
+
+        // resizes the board (and the replay being viewed) and persists the cell size
+        this.cellSizeSelect.addEventListener('change', () => {
+            const value = this.cellSizeSelect.value;
+            const cellSize = CELL_SIZES.map(option => option.cellSize).find(cellSize => String(cellSize) === value);
+            this.view.setCellSize(cellSize);
+            if (this.replayViewer) this.replayViewer.setCellSize(this.view.resolveCellSize(this.controller.state));
+            saveCellSize(cellSize);
+        });
+
+        // starts a game from the seed typed into the seed input
+        this.seedBtn.addEventListener('click', () => {
+            const seed = parseSeed(this.seedInput.value);
+            this.seedInput.setCustomValidity(seed === undefined ? "seed must be a number between 0 and 4294967295" : "");
+            if (seed === undefined) {
+                this.seedInput.reportValidity();
+            } else {
+                this.newGame(seed);
+            }
+        });
+
+        // plays the current game's recording (a copy of it, the recording keeps growing while the game goes on)
+        this.replayWatchBtn.addEventListener('click', () => {
+            this.openReplay(JSON.parse(JSON.stringify(this.recorder.recording)));
+        });
+
+        this.replayDownloadBtn.addEventListener('click', () => this.downloadReplay());
+
+        // plays a recording read from a file downloaded earlier
+        this.replayFileInput.addEventListener('change', () => {
+            const file = this.replayFileInput.files[0];
+            this.replayFileInput.value = "";
+            if (!file) return;
+            file.text().then(text => this.openReplay(parseRecording(text))).catch(e => {
+                console.error("could not open replay", e);
+                window.alert(`Could not open the replay: ${e.message}`);
+            });
+        });
+
+        this.replayCloseBtn.addEventListener('click', () => this.closeReplay());
+
+        // writes the current board (as the player left it, if the game is over) into the board text area
+        this.boardExportBtn.addEventListener('click', () => {
+            const board = this.controller.saveData().state;
+            this.boardText.value = formatBoard(board);
+            this.boardText.setCustomValidity("");
+            this.boardLink.href = `?board=${encodeBoard(board)}`;
+            this.boardLink.hidden = false;
+            this.boardText.select();
+        });
+
+        // starts a game on the board typed or pasted into the board text area
+        this.boardImportBtn.addEventListener('click', () => {
+            let board;
+            try {
+                board = parseBoard(this.boardText.value);
+                this.boardText.setCustomValidity("");
+            } catch (e) {
+                this.boardText.setCustomValidity(e.message);
+                this.boardText.reportValidity();
+                return;
+            }
+            this.loadBoard(board);
+        });
+
+        // saves the current game to the named slot
+        this.slotSaveBtn.addEventListener('click', () => {
+            const name = this.slotNameInput.value.trim();
+            this.slotNameInput.setCustomValidity(name ? "" : "enter a name for the saved game");
+            if (!name) {
+                this.slotNameInput.reportValidity();
+                return;
+            }
+            saveSlot(name, this.controller.saveData());
+            this.renderSlots();
+            this.slotSelect.value = name;
+        });
+
+        this.slotLoadBtn.addEventListener('click', () => {
+            const data = loadSlot(this.slotSelect.value);
+            if (data) this.resume(data);
+        });
+
+        this.slotDeleteBtn.addEventListener('click', () => {
+            deleteSlot(this.slotSelect.value);
+            this.renderSlots();
+        });
+
+        this.statsBtn.addEventListener("click", () => {
+            const panel = this.statsPanel;
+            if (panel.style.display === "none") {
+                this.renderStatistics(this.currentCategory());
+                panel.style.display = "flex";
+                panel.style.flexDirection = "column";
+            } else {
+                panel.style.display = "none";
+            }
+        });
+
+        this.statsCategorySelect.addEventListener('change', () => {
+            this.renderStatistics(this.statsCategorySelect.value);
+        });
+
+        this.statsResetBtn.addEventListener('click', () => {
+            if (window.confirm("Reset all statistics and best times?")) {
+                resetStatistics();
+                this.renderStatistics(this.currentCategory());
+            }
+        });
+
+        // toggles the display of the row, column sliders
+        this.settingsBtn.addEventListener("click", () => {
+            const sliders = this.settingsSliders;
+            if (sliders.style.display === "none") {
+                sliders.style.display = "flex";
+                sliders.style.flexDirection = "column";
+            } else {
+                sliders.style.display = "none"
+            }
+        });
+    }
+
+    /**
+     * keeps the counters, smiley button and result header in sync with the controller
+     */
+    bindControllerEvents() {
+        const controller = this.controller;
+
+        // reset all UI elements whenever the controller starts a new game (or resumes a saved one)
+        controller.on('newGame', ({state}) => {
+            this.resultHeader.innerText = controller.status === GameStatus.Won ? "You Won!"
+                : controller.status === GameStatus.Lost ? "You Lost!" : " ";
+            this.gameBtn.innerText = controller.status === GameStatus.Won ? SMILEY_SHADES
+                : controller.status === GameStatus.Lost ? SMILEY_FROWN : SMILEY_OPEN;
+            this.renderTimer(controller.elapsedTime);
+            this.renderMineCounter(state.remainingFlags());
+            this.hintText.innerText = "";
+            this.renderSeed(state);
+            this.renderInspectButton();
+            this.renderHeatmapButton();
+            this.renderExportButton();
+            this.autosave();
+            // a game that is already over when it starts (i.e. a resumed one) was counted in the statistics before
+            this.gameRecorded = controller.isGameOver;
+        });
+
+        controller.on('hint', ({hint}) => { this.hintText.innerText = describeHint(hint); });
+
+        controller.on('noGuessGenerated', ({attempts, solvable}) => {
+            if (!solvable) {
+                this.hintText.innerText = `No no-guess board was found in time (${plural(attempts, "board")} tried), `
+                    + "this one may need a guess.";
+            }
+        });
+
+        controller.on('move', () => {
+            this.hintText.innerText = "";
+            this.renderMineCounter(controller.state.remainingFlags());
+            this.renderExportButton();
+            this.autosave();
+        });
+
+        controller.on('tick', ({elapsedTime}) => this.renderTimer(elapsedTime));
+
+        // saving the whole game every second would be too slow on large boards, the elapsed time is saved when the
+        // page is hidden or left instead
+        this.visibilityChangeListener = () => {
+            if (document.visibilityState === 'hidden') this.autosave();
+        };
+        this.pageHideListener = () => this.autosave();
+        document.addEventListener('visibilitychange', this.visibilityChangeListener);
+        window.addEventListener('pagehide', this.pageHideListener);
+
+        // a finished game is not resumed on reload, the next visit starts a new game
+        controller.on('gameWon', ({elapsedMs}) => {
+            const result = this.recordResult(true, elapsedMs);
+            this.resultHeader.innerText = result && result.isBestTime
+                ? `You Won! New best time: ${formatTime(elapsedMs)}`
+                : `You Won! ${formatTime(elapsedMs)}`;
+            this.gameBtn.innerText = SMILEY_SHADES;
+            this.renderInspectButton();
+            if (this.saveKey !== undefined) clearAutosave(this.saveKey);
+        });
+
+        controller.on('gameLost', ({elapsedMs}) => {
+            this.recordResult(false, elapsedMs);
+            this.resultHeader.innerText = "You Lost!";
+            this.gameBtn.innerText = SMILEY_FROWN;
+            this.renderInspectButton();
+            if (this.saveKey !== undefined) clearAutosave(this.saveKey);
+        });
+
+        // undoing the last move of a won or lost game puts it back into play
+        controller.on('gameResumed', () => {
+            this.resultHeader.innerText = " ";
+            this.gameBtn.innerText = SMILEY_OPEN;
+            this.renderInspectButton();
+        });
+
+        controller.on('historyChange', ({canUndo, canRedo}) => {
+            this.undoBtn.disabled = !canUndo;
+            this.redoBtn.disabled = !canRedo;
+        });
+    }
+
+    /**
+     * undoes or redoes a move when Ctrl+Z, Ctrl+Y or Ctrl+Shift+Z (Cmd on macOS) is pressed, if this is the component
+     * the player last interacted with. Shortcuts typed into inputs, text areas and editable content are left to them
+     * @param event - keydown event on the document
+     */
+    undoKeyListener(event) {
+        if (activeComponent !== this || !(event.ctrlKey || event.metaKey) || event.altKey) return;
+        const target = event.target;
+        if (target instanceof HTMLInputElement || target instanceof HTMLTextAreaElement || target.isContentEditable) {
+            return;
+        }
+        const key = event.key.toLowerCase();
+        if (key === "z" && !event.shiftKey) {
+            this.controller.undo();
+        } else if (key === "y" || (key === "z" && event.shiftKey)) {
+            this.controller.redo();
+        } else {
+            return;
+        }
+        event.preventDefault();
+    }
+
+    /**
+     * listener for input events on the row, col AND mine range sliders. This function will trigger the changing of the
+     * number of rows, columns or mines in the minesweeper grid and then start a new game.
+     * Changing the number of rows or columns keeps the current mine density
+     * @param event - slider (range) input event
+     */
+    sliderInputListener(event) {
+        if (event.target === this.rowSlider || event.target === this.colSlider) {
+            const density = this.num_mines / (this.num_rows * this.num_cols);
+            this.num_rows = this.rowSlider.valueAsNumber;
+            this.num_cols = this.colSlider.valueAsNumber;
+            this.num_mines = mineCountFromDensity(this.num_rows, this.num_cols, density);
+        }
+        if (event.target === this.mineSlider) {
+            this.num_mines = this.mineSlider.valueAsNumber;
+        }
+        this.initializeSliders();
+        this.newGame();
+    }
+
+    /**
+     * listener for change events on the difficulty select. Choosing a preset sets the rows, cols and mines of the
+     * preset and starts a new game, choosing "Custom" keeps the current settings
+     */
+    difficultyChangeListener() {
+        const preset = DIFFICULTY_PRESETS[this.difficultySelect.value];
+        if (preset) {
+            this.num_rows = preset.rows;
+            this.num_cols = preset.cols;
+            this.num_mines = preset.mines;
+            this.initializeSliders();
+            this.newGame();
+        }
+    }
+
+    /**
+     * displays the "seconds elapsed" in the upper right section of the board
+     * @param elapsedTime - seconds elapsed since the first move
+     */
+    renderTimer(elapsedTime) {
+        this.timerOutput.innerText = elapsedTime.toString().padStart(3, '0');
+    }
+
+    /**
+     * displays the remaining flag count in the upper left section of the board
+     * @param count - number of flags the player can still place
+     */
+    renderMineCounter(count) {
+        this.mineCounter.innerText = count.toString(10).padStart(3, "0");
+    }
+
+    /**
+     * enables the inspect board button once the game is over, and shows whether the view is inspecting the game
+     */
+    renderInspectButton() {
+        this.inspectBtn.disabled = !this.controller.isGameOver;
+        this.inspectBtn.setAttribute("aria-pressed", String(this.view.inspecting));
+    }
+
+    /**
+     * enables the heatmap button on boards small enough for the heatmap (see CanvasView.canShowHeatmap), and shows
+     * whether the heatmap is shown
+     */
+    renderHeatmapButton() {
+        const available = this.view.canShowHeatmap();
+        this.heatmapBtn.disabled = !available;
+        this.heatmapBtn.title = available ? HEATMAP_TITLE
+            : `${HEATMAP_TITLE} (only on boards of up to ${MAX_HEATMAP_CELLS} cells)`;
+        this.heatmapBtn.setAttribute("aria-pressed", String(available && this.view.showHeatmap));
+    }
+
+    /**
+     * enables the board export button once the first cell is revealed. The mines are moved away from the first
+     * revealed cell, so until then the board does not hold the layout that will be played
+     */
+    renderExportButton() {
+        const started = this.controller.state.started;
+        this.boardExportBtn.disabled = !started;
+        this.boardExportBtn.title = started ? EXPORT_TITLE : `${EXPORT_TITLE} (once the first cell is revealed)`;
+    }
+
+    /**
+     * turns flag mode on or off, and updates the flag mode button to match
+     * @param flagMode - true to make taps flag cells (and long presses reveal them)
+     */
+    setFlagMode(flagMode) {
+        this.view.flagMode = flagMode;
+        this.flagModeBtn.setAttribute("aria-pressed", String(flagMode));
+        this.flagModeBtn.innerText = `${TRIANGLE_FLAG} Flag mode: ${flagMode ? "on" : "off"}`;
+    }
+
+    /**
+     * displays the seed of the current game as a link that starts the same board again. A board with a custom layout
+     * has no meaningful seed, its link holds the layout itself
+     * @param state - MinesweeperState of the current game
+     */
+    renderSeed(state) {
+        if (state.customLayout) {
+            const {rows, cols, mines} = state.toSnapshot();
+            this.seedLabel.innerText = "Board:";
+            this.seedLink.innerText = `custom ${rows}x${cols}`;
+            this.seedLink.href = `?board=${encodeBoard({rows, cols, mines})}`;
+        } else {
+            const params = new URLSearchParams({
+                seed: state.seed, rows: this.num_rows, cols: this.num_cols, mines: this.num_mines
+            });
+            if (this.safeArea) params.set("safe", "1");
+            if (state.noGuess) params.set("noguess", "1");
+            if (state.rules !== DEFAULT_RULES) params.set("rules", state.rules);
+            this.seedLabel.innerText = "Seed:";
+            this.seedLink.innerText = state.seed;
+            this.seedLink.href = `?${params}`;
+        }
+    }
+
+    /**
+     * starts a new game of minesweeper using the current settings
+     * @param seed - seed to generate the board from, a random seed is used if not given
+     * @returns {MinesweeperState} - the state of the new game
+     */
+    newGame(seed) {
+        return this.controller.newGame({
+            rows: this.num_rows, cols: this.num_cols, mines: this.num_mines, safeArea: this.safeArea,
+            noGuess: this.noGuess, rules: this.rules, seed
+        });
+    }
+
+    /**
+     * @returns {string} the statistics category of the current settings, see statistics.js
+     */
+    currentCategory() {
+        return categoryKey(this.num_rows, this.num_cols, this.num_mines);
+    }
+
+    /**
+     * adds the result of the current game to the statistics. Only the first time a game ends is counted (undoing the
+     * last move and finishing the game again does not count again), and games on imported boards are not counted
+     * @param won - true if the game was won
+     * @param elapsedMs - time the game took, in ms
+     * @returns {object|undefined} the updated statistics of the game's category, or undefined if it was not counted
+     */
+    recordResult(won, elapsedMs) {
+        if (this.gameRecorded || this.controller.state.customLayout) return undefined;
+        this.gameRecorded = true;
+        const result = recordGame(this.currentCategory(), {won, elapsedMs, hintsUsed: this.controller.hintsUsed});
+        if (this.statsPanel.style.display !== "none") {
+            this.renderStatistics(this.currentCategory());
+        }
+        return result;
+    }
+
+    /**
+     * renders the statistics panel: the summary and win time distribution of one category and the best times of all
+     * categories
+     * @param selectedKey - key of the category to summarize
+     */
+    renderStatistics(selectedKey) {
+        const statistics = loadStatistics();
+        const keys = Object.keys(statistics);
+        if (!keys.includes(selectedKey)) keys.push(selectedKey);
+
+        this.statsCategorySelect.innerHTML = keys
+            .map(key => `<option value="${key}">${categoryLabel(key)}</option>`).join('');
+        this.statsCategorySelect.value = selectedKey;
+
+        const category = {...emptyCategory(), ...statistics[selectedKey]};
+        const winRate = category.played ? Math.round(category.won / category.played * 100) : 0;
+        this.statsSummary.innerHTML = [
+            ["Played", category.played],
+            ["Won", `${category.won} (${winRate}%)`],
+            ["Current streak", category.currentStreak],
+            ["Best streak", category.bestStreak],
+            ["Best time", formatTime(category.bestTimeMs)],
+            ["Hints used", `${category.hintsUsed} (in ${plural(category.gamesWithHints, "game")})`],
+        ].map(([term, value]) => `<dt>${term}</dt><dd>${value}</dd>`).join('');
+
+        const buckets = winTimeDistribution(category.winTimesMs);
+        const maxCount = Math.max(1, ...buckets.map(bucket => bucket.count));
+        this.statsDistribution.innerHTML = buckets.map(({fromMs, toMs, count}) => `
+            <div class="stats-bar-row">
+              <span class="stats-bar-label">${formatTime(fromMs)} - ${formatTime(toMs)}</span>
+              <span class="stats-bar" style="width: ${count / maxCount * 100}%"></span>
+              <span class="stats-bar-count">${count}</span>
+            </div>`).join('');
+
+        this.statsBestTimes.innerHTML = Object.keys(statistics).map(key => {
+            const {bestTimeMs, played, won} = statistics[key];
+            return `<tr><td>${categoryLabel(key)}</td><td>${formatTime(bestTimeMs)}</td>` +
+                `<td>${played}</td><td>${won}</td></tr>`;
+        }).join('');
+    }
+
+    /**
+     * shows the replay viewer with a recording, replacing the recording being viewed (if any)
+     * @param recording - the recording to play, see replay.js
+     */
+    openReplay(recording) {
+        this.closeReplay();
+        this.replayViewer = new ReplayViewer(this.replayViewerElement, recording, {
+            theme: themeByKey(this.themeKey), cellSize: this.view.resolveCellSize(this.controller.state)
+        });
+        this.replayPanel.hidden = false;
+    }
+
+    /**
+     * renders the board (and the replay being viewed, if any) with a theme
+     * @param key - key of a THEMES entry, see themes.js
+     */
+    setTheme(key) {
+        this.themeKey = key;
+        this.container.dataset.theme = key;
+        this.themeSelect.value = key;
+        this.view.setTheme(themeByKey(key));
+        if (this.replayViewer) this.replayViewer.setTheme(themeByKey(key));
+    }
+
+    /**
+     * stops and hides the replay viewer (if it is open)
+     */
+    closeReplay() {
+        if (this.replayViewer) {
+            this.replayViewer.dispose();
+            this.replayViewer = undefined;
+        }
+        this.replayPanel.hidden = true;
+    }
+
+    /**
+     * saves the current game's recording as a JSON file, through the browser's downloads
+     */
+    downloadReplay() {
+        const recording = this.recorder.recording;
+        const blob = new Blob([JSON.stringify(recording)], {type: "application/json"});
+        const link = document.createElement("a");
+        link.href = URL.createObjectURL(blob);
+        link.download = `minesweeper-replay-${recording.recordedAt.replace(/[:.]/g, "-")}.json`;
+        link.click();
+        // the download has started by the time the click has been handled
+        setTimeout(() => URL.revokeObjectURL(link.href), 0);
+    }
+
+    /**
+     * resumes a saved game and updates the settings to match it
+     * @param data - a saved game, see GameController.saveData
+     * @returns {boolean} true if the game was resumed, false if the saved game could not be restored
+     */
+    resume(data) {
+        try {
+            this.controller.resume(data);
+        } catch (e) {
+            console.error("could not resume saved game", e);
+            return false;
+        }
+        this.syncSettings();
+        return true;
+    }
+
+    /**
+     * starts a game on a portable board and updates the settings to match it
+     * @param board - {rows, cols, mines, states}, see board-format.js
+     * @returns {boolean} true if the game was started, false if the board could not be loaded
+     */
+    loadBoard(board) {
+        try {
+            this.controller.loadBoard(board);
+        } catch (e) {
+            console.error("could not load board", e);
+            return false;
+        }
+        this.syncSettings();
+        return true;
+    }
+
+    /**
+     * updates the settings (and the sliders) to the settings of the controller's current game, after a game was
+     * started by the controller itself rather than from the settings
+     */
+    syncSettings() {
+        const {rows, cols, mines, safeArea, noGuess = false, rules = DEFAULT_RULES} = this.controller.settings;
+        this.num_rows = rows;
+        this.num_cols = cols;
+        this.num_mines = mines;
+        this.safeArea = safeArea;
+        this.noGuess = noGuess;
+        this.rules = rules;
+        this.initializeSliders();
+        // the seed link was rendered before the settings were updated
+        this.renderSeed(this.controller.state);
+    }
+
+    /**
+     * autosaves the current game, if the component has a save key. Finished games are not autosaved
+     */
+    autosave() {
+        if (this.saveKey !== undefined && !this.controller.isGameOver) {
+            saveAutosave(this.saveKey, this.controller.saveData());
+        }
+    }
+
+    /**
+     * fills the save slot select with the names of the saved games
+     */
+    renderSlots() {
+        const slots = listSlots();
+        this.slotSelect.innerHTML = "";
+        slots.forEach(({name, savedAt}) => {
+            const option = document.createElement("option");
+            option.value = name;
+            option.textContent = `${name} (${new Date(savedAt).toLocaleString()})`;
+            this.slotSelect.appendChild(option);
+        });
+        this.slotLoadBtn.disabled = this.slotDeleteBtn.disabled = slots.length === 0;
+    }
+
+    /**
+     * sets the row,col,mine sliders, their outputs, the difficulty and rules selects and the checkboxes to the current
+     * settings
+     */
+    initializeSliders() {
+        this.mineSlider.max = maxMineCount(this.num_rows, this.num_cols);
+        this.rowSlider.value = this.num_rows;
+        this.colSlider.value = this.num_cols;
+        this.mineSlider.value = this.num_mines;
+        this.rowOutput.innerText = this.num_rows;
+        this.colOutput.innerText = this.num_cols;
+        const density = Math.round(this.num_mines / (this.num_rows * this.num_cols) * 100);
+        this.mineOutput.innerText = `${this.num_mines} (${density}%)`;
+        this.difficultySelect.value = findDifficulty(this.num_rows, this.num_cols, this.num_mines);
+        this.safeAreaCheckbox.checked = this.safeArea;
+        this.noGuessCheckbox.checked = this.noGuess;
+        this.rulesSelect.value = this.rules;
+    }
+
+    /**
+     * sets the mouse binding selects to the current bindings
+     */
+    initializeBindings() {
+        this.bindingSelects.forEach(select => {
+            select.value = this.bindings[select.dataset.gesture];
+        });
+    }
+
+    /**
+     * stops the game's timer, removes all listeners and empties the container element
+     */
+    unmount() {
+        document.removeEventListener('keydown', this.documentKeyDownListener);
+        document.removeEventListener('visibilitychange', this.visibilityChangeListener);
+        window.removeEventListener('pagehide', this.pageHideListener);
+        this.container.removeEventListener('pointerdown', this.containerPointerDownListener);
+        this.container.removeEventListener('focusin', this.containerPointerDownListener);
+        // undo and redo shortcuts must not reach the disposed controller
+        if (activeComponent === this) activeComponent = undefined;
+        this.closeReplay();
+        this.recorder.dispose();
+        this.accessibleGrid.dispose();
+        this.view.dispose();
+        this.controller.dispose();
+        this.container.innerHTML = "";
+        this.container.classList.remove("minesweeper");
+    }
+}
+
+/**
+ * describes a hint for the player, i.e. "Reveal row 3 column 4: the 1 at row 2 column 3 ..."
+ * @param hint - a hint, see solver.js findHint
+ */
+function describeHint({row, col, kind, reason}) {
+    const cell = `row ${row + 1} column ${col + 1}`;
+    const move = {
+        [HintKind.Safe]: `Reveal ${cell}`,
+        [HintKind.Mine]: `Flag ${cell}`,
+        [HintKind.WrongFlag]: `Remove the flag on ${cell}`,
+        [HintKind.Guess]: `Guess ${cell}`,
+    }[kind];
+    return `${move}: ${reason}.`;
+}
+
+/**
+ * i.e. plural(1, "game") is "1 game" and plural(2, "game") is "2 games"
+ */
+function plural(count, noun) {
+    return `${count} ${noun}${count === 1 ? "" : "s"}`;
+}
+
+/**
+ * clamps a number between min and max (inclusive)
+ */
+function clamp(value, min, max) {
+    return Math.min(Math.max(value, min), max);
+}
+
+/**
+ * mounts a new, independent minesweeper board inside a container element
+ * @param containerEl - DOM element that will hold the board
+ * @param options - see MinesweeperComponent's constructor
+ * @returns {MinesweeperComponent} the mounted component, call unmount() on it to remove the board
+ */
+function mountMinesweeper(containerEl, options) {
+    return new MinesweeperComponent(containerEl, options);
+}
+
+export {MinesweeperComponent, mountMinesweeper};
@@ -1,5 +1,9 @@
 import {Minesweeper, CellKind, CellState} from "wasm-minesweeper";
 import {memory} from "wasm-minesweeper/wasm_minesweeper_bg";
+import {randomSeed} from "./seed";
+import {generateNoGuessMines} from "./no-guess";
+import {EventEmitter} from "./event-emitter";
+import {DEFAULT_RULES, rulesByKey} from "./rule-sets";
 
 /**
  * A wrapper class that contains the current state of the MineSweeper game.
@@ -9,19 +13,77 @@ import {memory} from "wasm-minesweeper/wasm_minesweeper_bg";
  *      the first bytes is the CellState (Hidden, Revealed, Flagged, Questioned)
  *      the second byte is the CellKind (Mined or Empty)
  *      the third byte is the adjacent mine count (i.e. the total number of mines around the cell)
+ * The cells array is a view of the Rust side's memory, which is replaced whenever the wasm memory grows. The view is
+ * checked on every read and rebuilt when it is stale, so the cells can be read at any time.
+ * Cells are addressed by row and column, or by 1D index (see to_1d). Both are validated, a cell outside the grid
+ * throws an Error rather than reading or writing memory outside the grid.
+ *
+ * Moves emit events describing what they changed, so listeners don't need to re-read the whole grid:
+ *      'cellRevealed' - {row, col, revealed}   a reveal or chord of the cell at row, col revealed cells. revealed
+ *                                              holds the 1D indices of every cell it revealed, cascades included
+ *      'flagChanged'  - {row, col, flagged, remainingFlags}  a cell was flagged or lost its flag
+ *      'gameWon'      - {row, col}             the move on the cell at row, col won the game
+ *      'gameLost'     - {row, col}             the move on the cell at row, col lost the game
+ *      'gameReset'    - {}                     every cell was hidden again, see reset
+ * setCellState restores cells without emitting events.
  */
-class MinesweeperState {
+class MinesweeperState extends EventEmitter {
 
-    constructor(rows, cols) {
+    /**
+     * @param rows - number of rows in the grid
+     * @param cols - number of columns in the grid
+     * @param options.mines - number of mines to place on the grid, defaults to 15% of the cells
+     * @param options.safeArea - if true, the cells around the first revealed cell are also kept free of mines
+     * @param options.seed - seed to generate the mine layout from, a random seed is used if not given
+     * @param options.noGuess - if true, the mine layout is generated on the first reveal so that the whole grid can be
+     *                          solved by logic from the first revealed cell (see no-guess.js). Implies safeArea
+     * @param options.mineIndices - 1D indices of the mined cells, if given the grid uses this mine layout instead of
+     *                              generating one (and options.mines is ignored)
+     * @param options.noGuessResult - {mines, attempts, solvable} of a no-guess layout already generated for this
+     *                                grid's first reveal, the first reveal uses it instead of generating a new one.
+     *                                Generation is limited by time, so replaying a game must not generate it again
+     * @param options.rules - key of the RULE_SETS entry that decides when the game is won or lost (see rule-sets.js),
+     *                        defaults to DEFAULT_RULES
+     * @param options.logMines - if true, the mine layout is logged to the console (default false), for debugging
+     */
+    constructor(rows, cols, {
+        mines = Minesweeper.default_mine_count(rows, cols), safeArea = false, noGuess = false, seed = randomSeed(),
+        mineIndices, noGuessResult, rules = DEFAULT_RULES, logMines = false
+    } = {}) {
+        super();
+        // looked up first, so that unknown rules throw before the grid is allocated on the Rust side
+        const {ruleSet} = rulesByKey(rules);
         this.num_rows = rows;
         this.num_cols = cols;
+        this.safeArea = safeArea || noGuess;
+        this.noGuess = noGuess;
+        // key of the RULE_SETS entry that decides when the game is won or lost
+        this.rules = rules;
+        // {mines, attempts, solvable} of the no-guess generation, set by the first reveal of a noGuess grid
+        this.noGuessResult = noGuessResult;
+        // true if the mine layout was given (i.e. imported) rather than generated from the seed
+        this.customLayout = mineIndices !== undefined;
+        // set once the first cell has been revealed, the first reveal is always made safe
+        this.started = false;
         // "minesweeper" is the handle to the Rust minesweeper struct
-        this.minesweeper = Minesweeper.init(rows, cols);
+        this.minesweeper = mineIndices
+            ? Minesweeper.from_mines(rows, cols, Uint32Array.from(mineIndices), seed)
+            : Minesweeper.init(rows, cols, mines, seed);
+        this.minesweeper.set_rules(ruleSet);
         // the size of the minesweeper Cell struct in bytes
         this.cellSizeBytes = Minesweeper.cell_size();
-        this.cellsArray = new Uint8Array(memory.buffer, this.minesweeper.cells(), this.num_rows * this.num_cols * this.cellSizeBytes );
+        this.cellsArray = this.cellsView();
         // log the locations of mines to the console
-        console.log(this.minesweeper.debug());
+        if (logMines) console.log(this.minesweeper.debug());
+    }
+
+    /**
+     * frees the memory held by the Rust side of the grid. The state must not be used afterwards
+     */
+    free() {
+        this.minesweeper.free();
+        this.minesweeper = undefined;
+        this.cellsArray = undefined;
     }
 
     /**
@@ -31,9 +93,25 @@ class MinesweeperState {
      * @returns integer - index that can be used to index into the minesweeper cell grid
      */
     to_1d(row, col) {
+        if (!Number.isInteger(row) || !Number.isInteger(col)
+            || row < 0 || row >= this.num_rows || col < 0 || col >= this.num_cols) {
+            throw new Error(`cell (${row}, ${col}) is outside the ${this.num_rows}x${this.num_cols} grid`);
+        }
         return row * this.num_cols + col;
     };
 
+    /**
+     * checks that a 1D index is the index of a cell of the grid
+     * @param index - 1D index of a cell (see to_1d)
+     * @returns {number} the index
+     */
+    checkIndex(index) {
+        if (!Number.isInteger(index) || index < 0 || index >= this.num_rows * this.num_cols) {
+            throw new Error(`cell index ${index} is outside the ${this.num_rows}x${this.num_cols} grid`);
+        }
+        return index;
+    }
+
     /**
      * returns the size of the Rust Cell struct is bytes.
      * @returns {number} - the size of a Minesweeper Cell in bytes
@@ -49,17 +127,43 @@ class MinesweeperState {
      * @returns {Uint8Array} of Cell. The total size of the array will be num_rows * num_cols * this.cellSizeBytes
      */
     get cells() {
+        if (!this.minesweeper) throw new Error("the grid was freed");
+        // growing the wasm memory detaches the old memory.buffer, and with it every view of it
+        if (this.cellsArray.buffer !== memory.buffer) {
+            this.cellsArray = this.cellsView();
+        }
         return this.cellsArray;
     }
 
+    /**
+     * builds a view of the grid's cells over the current wasm memory
+     * @returns {Uint8Array} the cells of the grid, see cells
+     */
+    cellsView() {
+        const length = this.num_rows * this.num_cols * this.cellSizeBytes;
+        return new Uint8Array(memory.buffer, this.minesweeper.cells(), length);
+    }
+
+    /**
+     * reads a cell of the grid
+     * @param row - row index of the cell
+     * @param col - col index of the cell
+     * @returns {object} a frozen {state, kind, adjMines} copy of the cell: its CellState, its CellKind and its
+     *                   adjacent mine count. It does not change when the cell does
+     */
+    getCell(row, col) {
+        const offset = this.to_1d(row, col) * this.cellBytes;
+        const cells = this.cells;
+        return Object.freeze({state: cells[offset], kind: cells[offset + 1], adjMines: cells[offset + 2]});
+    }
+
     /**
      * toggles the Cell's status from Hidden to Question OR from Questioned to Hidden
      * @param row - row index of the cell to toggle
      * @param col - col index of the cell to toggle
      */
     toggleQuestion(row, col) {
-        this.minesweeper.toggle_question( this.to_1d(row, col) );
-        this.cellsArray = new Uint8Array(memory.buffer, this.minesweeper.cells(), this.num_rows * this.num_cols * this.cellSizeBytes )
+        this.applyMove(row, col, index => this.minesweeper.toggle_question(index));
     }
 
     /**
@@ -68,18 +172,130 @@ class MinesweeperState {
      * @param col - col index of the cell to toggle
      */
     toggleFlag(row, col) {
-        this.minesweeper.toggle_flag( this.to_1d(row, col) );
-        this.cellsArray = new Uint8Array(memory.buffer, this.minesweeper.cells(), this.num_rows * this.num_cols * this.cellSizeBytes )
+        this.applyMove(row, col, index => this.minesweeper.toggle_flag(index));
     }
 
     /**
-     * reveals the cell, changing its state to Revealed
+     * cycles the Cell's mark from Hidden to Flagged, from Flagged to Questioned and from Questioned back to Hidden.
+     * Revealed cells are not changed
+     * @param row - row index of the cell to mark
+     * @param col - col index of the cell to mark
+     */
+    cycleMark(row, col) {
+        this.applyMove(row, col, index => {
+            if (this.isHiddenCell(row, col)) {
+                this.minesweeper.flag_cell(index);
+            } else if (this.isFlaggedCell(row, col)) {
+                this.minesweeper.question_cell(index);
+            } else if (this.isQuestionedCell(row, col)) {
+                this.minesweeper.unmark_cell(index);
+            }
+        });
+    }
+
+    /**
+     * reveals the cell, changing its state to Revealed.
+     * If this is the first cell revealed in the game, mines are first moved away from the cell (and its neighbours
+     * when safeArea is set) so that the first reveal can never lose the game. A noGuess grid generates its no-guess
+     * mine layout instead
      * @param row - row index of the cell to reveal
      * @param col - col index of the cell to reveal
      */
     revealCell(row, col) {
-        this.minesweeper.reveal_cell( this.to_1d(row, col) );
-        this.cellsArray = new Uint8Array(memory.buffer, this.minesweeper.cells(), this.num_rows * this.num_cols * this.cellSizeBytes )
+        this.applyMove(row, col, index => {
+            if (!this.started) {
+                if (this.noGuess) {
+                    this.generateNoGuessLayout(index);
+                } else {
+                    this.minesweeper.make_safe_start(index, this.safeArea);
+                }
+                this.started = true;
+            }
+            this.minesweeper.reveal_cell(index);
+        });
+    }
+
+    /**
+     * replaces the mine layout with a no-guess layout for the first revealed cell, or with the layout of the
+     * noGuessResult given to the constructor. Marks already placed on the grid are kept
+     * @param start - 1D index of the first revealed cell
+     */
+    generateNoGuessLayout(start) {
+        const states = this.cellStates();
+        const seed = this.seed;
+        const ruleSet = this.minesweeper.rules();
+        const {mines, attempts, solvable} = this.noGuessResult || generateNoGuessMines({
+            rows: this.num_rows, cols: this.num_cols, mines: this.totalMines(), seed, start
+        });
+        this.minesweeper.free();
+        this.minesweeper = Minesweeper.from_mines(this.num_rows, this.num_cols, Uint32Array.from(mines), seed);
+        this.minesweeper.set_rules(ruleSet);
+        this.cellsArray = this.cellsView();
+        states.forEach((state, index) => this.minesweeper.set_cell_state(index, state));
+        this.noGuessResult = {mines: Array.from(mines), attempts, solvable};
+    }
+
+    /**
+     * "chords" a revealed cell: if the number of flags adjacent to the cell equals its adjacent mine count, all of its
+     * un-flagged neighbours are revealed in one move. If any of the adjacent flags were wrong, this reveals a mine
+     * @param row - row index of the revealed cell
+     * @param col - col index of the revealed cell
+     * @returns {boolean} true if the neighbours were revealed, false if the cell is not revealed or its adjacent
+     * flags do not match its adjacent mine count
+     */
+    chord(row, col) {
+        return this.applyMove(row, col, index => this.minesweeper.chord_cell(index));
+    }
+
+    /**
+     * hides every cell again, removing all flags and question marks, so that the same board can be played again.
+     * The mine layout is kept as it is, the first reveal after a reset is not made safe again
+     */
+    reset() {
+        for (let index = 0; index < this.num_rows * this.num_cols; index++) {
+            this.minesweeper.set_cell_state(index, CellState.Hidden);
+        }
+        this.emit('gameReset', {});
+    }
+
+    /**
+     * applies a move to a cell and emits the events of the cells it changed, and of the end of the game if the move
+     * ended it. Finding the changed cells compares the whole grid, so it is skipped while nothing listens
+     * @param row - row index of the cell
+     * @param col - col index of the cell
+     * @param move - function making the move on the Rust side, called with the cell's 1D index
+     * @returns the value returned by move
+     */
+    applyMove(row, col, move) {
+        const index = this.to_1d(row, col);
+        if (this.listeners.size === 0) return move(index);
+        const wasOver = this.isGameWon() || this.isGameLost();
+        const before = this.cellStates();
+        const result = move(index);
+        const after = this.cellStates();
+
+        const revealed = [];
+        const flagChanges = [];
+        for (let i = 0; i < after.length; i++) {
+            if (before[i] === after[i]) continue;
+            if (after[i] === CellState.Revealed) revealed.push(i);
+            if (before[i] === CellState.Flagged || after[i] === CellState.Flagged) flagChanges.push(i);
+        }
+        if (revealed.length > 0) {
+            this.emit('cellRevealed', {row, col, revealed});
+        }
+        flagChanges.forEach(i => this.emit('flagChanged', {
+            row: Math.floor(i / this.num_cols),
+            col: i % this.num_cols,
+            flagged: after[i] === CellState.Flagged,
+            remainingFlags: this.remainingFlags(),
+        }));
+        if (!wasOver && this.isGameWon()) {
+            this.emit('gameWon', {row, col});
+        } else if (!wasOver && this.isGameLost()) {
+            this.emit('gameLost', {row, col});
+        }
+        return result;
     }
 
     /**
@@ -112,6 +328,16 @@ class MinesweeperState {
         return this.cellState(row, col) === CellState.Hidden;
     }
 
+    /**
+     * is the cell Revealed
+     * @param row - row index of cell
+     * @param col - col index of cell
+     * @returns {boolean} true if the cell is Revealed, else false
+     */
+    isRevealedCell(row, col) {
+        return this.cellState(row, col) === CellState.Revealed;
+    }
+
     /**
      * is the cell currently Flagged
      * @param row - row index if cell to check
@@ -143,8 +369,9 @@ class MinesweeperState {
     }
 
     /**
-     * checks the current game state to see if it is won.
-     * A game is won if all mined cells have been correctly flagged
+     * checks the current game state to see if it is won, by the game's rules.
+     * A game is won once all mined cells have been correctly flagged ("flagAll"), or once every cell without a mine
+     * has been revealed ("revealAll" and "strict")
      * @returns {boolean} true if the game is won, false if game is not won
      */
     isGameWon() {
@@ -152,14 +379,23 @@ class MinesweeperState {
     }
 
     /**
-     * check the current game state to see if a game is lost.
-     * A game is lost if a mined cell is revealed, or if a Empty cell is flagged after all flags have been placed
+     * check the current game state to see if a game is lost, by the game's rules.
+     * A game is lost if a mined cell is revealed. With the "flagAll" rules it is also lost if a Empty cell is flagged
+     * after all flags have been placed, with the "strict" rules as soon as a Empty cell is flagged
      * @returns {boolean} true if the game is lost, false if the game is not (yet) lost
      */
     isGameLost() {
         return this.minesweeper.is_game_lost();
     }
 
+    /**
+     * tells how a lost game was lost: by revealing a mine, or (with the "flagAll" and "strict" rules) by a wrong flag
+     * @returns {boolean} true if a mined cell is revealed, else false
+     */
+    isMineRevealed() {
+        return this.minesweeper.is_mine_revealed();
+    }
+
     /**
      * how many flags can are left for the player to place on the gird
      * @returns {number} the number of flags that the player can still place on the grid
@@ -176,6 +412,100 @@ class MinesweeperState {
         return this.minesweeper.total_mines();
     }
 
+    /**
+     * the seed the mine layout was generated from. The same seed, grid size and mine count (and the same first
+     * revealed cell) always produce the same mine layout. The seed of a customLayout grid does not describe its layout
+     * @returns {number} the seed of the grid
+     */
+    get seed() {
+        return this.minesweeper.seed();
+    }
+
+    /**
+     * captures everything needed to restore this game later, as a plain JSON-serializable object
+     * @returns {object} snapshot of the game, see fromSnapshot
+     */
+    toSnapshot() {
+        return {
+            rows: this.num_rows,
+            cols: this.num_cols,
+            seed: this.seed,
+            safeArea: this.safeArea,
+            noGuess: this.noGuess,
+            rules: this.rules,
+            started: this.started,
+            customLayout: this.customLayout,
+            mines: Array.from(this.minesweeper.mines()),
+            states: Array.from(this.cellStates()),
+            // the layout of a started grid is in mines
+            noGuessResult: this.started ? undefined : this.noGuessResult,
+        };
+    }
+
+    /**
+     * restores a game from a snapshot taken with toSnapshot. A game whose first cell was not yet revealed is generated
+     * again from its seed, so that the first reveal moves its mines exactly like it would have in the original game
+     * @param snapshot - object returned by toSnapshot
+     * @param options.logMines - if true, the mine layout is logged to the console (default false)
+     * @returns {MinesweeperState} the restored game
+     */
+    static fromSnapshot({
+        rows, cols, seed, safeArea, noGuess = false, rules = DEFAULT_RULES, started, customLayout = false, mines,
+        states, noGuessResult
+    }, {logMines = false} = {}) {
+        if (states.length !== rows * cols || mines.some(index => index < 0 || index >= rows * cols)) {
+            throw new Error(`snapshot does not fit a ${rows}x${cols} grid`);
+        }
+        const state = started
+            ? new MinesweeperState(rows, cols, {seed, safeArea, noGuess, rules, logMines, mineIndices: mines})
+            : new MinesweeperState(rows, cols, {
+                seed, safeArea, noGuess, rules, logMines, noGuessResult, mines: mines.length
+            });
+        states.forEach((cellState, index) => state.setCellState(index, cellState));
+        state.started = started;
+        state.customLayout = customLayout;
+        return state;
+    }
+
+    /**
+     * creates a game from a portable board (see board-format.js). The board's mine layout is used as is, the first
+     * reveal is not made safe
+     * @param board - {rows, cols, mines, states}, every cell is hidden if states is not given
+     * @param rules - key of the RULE_SETS entry to play the board by (see rule-sets.js), defaults to DEFAULT_RULES
+     * @param options.logMines - if true, the mine layout is logged to the console (default false)
+     * @returns {MinesweeperState} the game
+     */
+    static fromBoard(
+        {rows, cols, mines, states = new Array(rows * cols).fill(CellState.Hidden)}, rules = DEFAULT_RULES,
+        {logMines = false} = {}
+    ) {
+        return MinesweeperState.fromSnapshot({
+            rows, cols, mines, states, rules, seed: randomSeed(), safeArea: false, started: true, customLayout: true
+        }, {logMines});
+    }
+
+    /**
+     * copies the CellState of every cell
+     * @returns {Uint8Array} one CellState per cell, in row major order
+     */
+    cellStates() {
+        const states = new Uint8Array(this.num_rows * this.num_cols);
+        const cells = this.cells;
+        for (let i = 0; i < states.length; i++) {
+            states[i] = cells[i * this.cellBytes];
+        }
+        return states;
+    }
+
+    /**
+     * sets the CellState of a cell, regardless of its current state. This is used to restore cell states (i.e. to
+     * undo a move), it does not reveal connected cells
+     * @param index - 1D index of the cell (see to_1d)
+     * @param state - the CellState to set
+     */
+    setCellState(index, state) {
+        this.minesweeper.set_cell_state(this.checkIndex(index), state);
+    }
 
     /**
      * gets the CellState information from the cells array. CellState is the first byte within each "group" of cell
@@ -0,0 +1,76 @@
+/**
+ * Undo/redo history of the moves made on a minesweeper grid. Each entry records the cells whose CellState was changed
+ * by one move, so a move that cascades (reveals many connected cells) is a single undoable step. Undoing or redoing an
+ * entry restores the exact cell states, and with them the flag counter and the won/lost status of the game.
+ */
+
+class MoveHistory {
+
+    constructor() {
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+
+    /**
+     * @returns {boolean} true if there is a move to undo
+     */
+    get canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    /**
+     * @returns {boolean} true if there is an undone move to redo
+     */
+    get canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * records the cells changed by a move. Recording a move clears the redo stack
+     * @param move - {action, row, col} of the move
+     * @param before - CellStates of the grid before the move (see MinesweeperState.cellStates)
+     * @param after - CellStates of the grid after the move
+     * @returns {Array} {index, before, after} of each cell the move changed. A move that changed no cell is not
+     *                  recorded
+     */
+    record(move, before, after) {
+        const changes = [];
+        for (let i = 0; i < before.length; i++) {
+            if (before[i] !== after[i]) {
+                changes.push({index: i, before: before[i], after: after[i]});
+            }
+        }
+        if (changes.length === 0) return changes;
+        this.undoStack.push({...move, changes});
+        this.redoStack = [];
+        return changes;
+    }
+
+    /**
+     * restores the cell states from before the last recorded move
+     * @param minesweeper - MinesweeperState the move was made on
+     * @returns {object|undefined} the undone entry, or undefined if there was nothing to undo
+     */
+    undo(minesweeper) {
+        const entry = this.undoStack.pop();
+        if (!entry) return undefined;
+        entry.changes.forEach(({index, before}) => minesweeper.setCellState(index, before));
+        this.redoStack.push(entry);
+        return entry;
+    }
+
+    /**
+     * re-applies the cell states of the last undone move
+     * @param minesweeper - MinesweeperState the move was made on
+     * @returns {object|undefined} the redone entry, or undefined if there was nothing to redo
+     */
+    redo(minesweeper) {
+        const entry = this.redoStack.pop();
+        if (!entry) return undefined;
+        entry.changes.forEach(({index, after}) => minesweeper.setCellState(index, after));
+        this.undoStack.push(entry);
+        return entry;
+    }
+}
+
+export {MoveHistory};
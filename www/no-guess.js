@@ -0,0 +1,167 @@
+/**
+ * No-guess board generation. A no-guess board can be solved from its first revealed cell by logic alone, without
+ * ever having to guess. Candidate boards are generated by the Rust side (like any other board, with the first cell's
+ * neighbourhood kept free of mines so that the first reveal opens an area) and checked by playing them with the
+ * solver, and candidates are tried until one is solvable or the time budget runs out.
+ *
+ * Candidates are generated from seeds derived from the game's seed, so the same seed, grid, mine count and first cell
+ * always produce the same no-guess board as long as it is found within the time budget. Whether it is found depends
+ * on the speed of the machine, so games that must be played again (i.e. replays) keep the generated layout.
+ */
+
+import {Minesweeper} from "wasm-minesweeper";
+import {analyze, mineProbabilities} from "./solver";
+
+// how long (in ms) generation may try candidate boards before it gives up
+const DEFAULT_BUDGET_MS = 1500;
+
+// how many candidate boards generation tries at most before it gives up
+const MAX_ATTEMPTS = 1000;
+
+/**
+ * generates the mine layout of a no-guess board
+ * @param options.rows - number of rows in the grid
+ * @param options.cols - number of columns in the grid
+ * @param options.mines - number of mines in the grid
+ * @param options.seed - seed of the game
+ * @param options.start - 1D index of the first revealed cell
+ * @param options.budgetMs - how long generation may take, in ms
+ * @param options.now - function returning the current time in ms, defaults to Date.now
+ * @returns {object} {mines, attempts, solvable}: the 1D indices of the mined cells, how many candidates were tried
+ *                   and whether the board is solvable. If generation gives up the first candidate is returned, which is
+ *                   the board the seed produces with the safe area option: the first cell and its neighbours are kept
+ *                   free of mines
+ */
+function generateNoGuessMines({rows, cols, mines, seed, start, budgetMs = DEFAULT_BUDGET_MS, now = Date.now}) {
+    const deadline = now() + budgetMs;
+    let first;
+    for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+        const candidate = candidateMines(rows, cols, mines, attemptSeed(seed, attempt), start);
+        if (attempt === 0) first = candidate;
+        if (isSolvableByLogic(rows, cols, candidate, start, {deadline, now})) {
+            return {mines: candidate, attempts: attempt + 1, solvable: true};
+        }
+        if (now() >= deadline) {
+            return {mines: first, attempts: attempt + 1, solvable: false};
+        }
+    }
+    return {mines: first, attempts: MAX_ATTEMPTS, solvable: false};
+}
+
+/**
+ * derives the seed of a candidate board from the game's seed. The first candidate uses the game's seed itself
+ */
+function attemptSeed(seed, attempt) {
+    return (seed + Math.imul(attempt, 0x9E3779B9)) >>> 0;
+}
+
+/**
+ * generates a candidate board on the Rust side
+ * @returns {Array} the 1D indices of the candidate's mined cells
+ */
+function candidateMines(rows, cols, mines, seed, start) {
+    const minesweeper = Minesweeper.init(rows, cols, mines, seed);
+    minesweeper.make_safe_start(start, true);
+    const indices = Array.from(minesweeper.mines());
+    minesweeper.free();
+    return indices;
+}
+
+/**
+ * plays a board with the solver, starting by revealing the start cell and then only ever revealing cells the solver
+ * proves safe
+ * @param rows - number of rows in the grid
+ * @param cols - number of columns in the grid
+ * @param mines - 1D indices of the mined cells
+ * @param start - 1D index of the first revealed cell
+ * @param options.deadline - time (as returned by now) at which the solver gives up, the board then counts as not
+ *                           solvable. Large boards take seconds to solve, this keeps a single candidate within the
+ *                           generation's time budget (default no deadline)
+ * @param options.now - function returning the current time in ms, defaults to Date.now
+ * @returns {boolean} true if every cell without a mine could be revealed
+ */
+function isSolvableByLogic(rows, cols, mines, start, {deadline = Infinity, now = Date.now} = {}) {
+    const board = new LogicBoard(rows, cols, mines);
+    if (board.mined[start]) return false;
+    board.reveal(start);
+    while (board.revealedCount < rows * cols - mines.length) {
+        if (now() >= deadline) return false;
+        const analysis = analyze(board);
+        let safe = [...analysis.safe.keys()];
+        if (safe.length === 0) {
+            const probabilities = mineProbabilities(board, analysis);
+            safe = [];
+            probabilities.forEach((probability, index) => { if (probability === 0) safe.push(index); });
+        }
+        if (safe.length === 0) return false;
+        safe.forEach(index => board.reveal(index));
+    }
+    return true;
+}
+
+/**
+ * A board that lives in JS only, with just enough of the MinesweeperState interface for the solver to read it. It is
+ * used to play candidate boards quickly, without going through the Rust side
+ */
+class LogicBoard {
+
+    constructor(rows, cols, mines) {
+        this.num_rows = rows;
+        this.num_cols = cols;
+        this.mineCount = mines.length;
+        this.mined = new Uint8Array(rows * cols);
+        mines.forEach(index => { this.mined[index] = 1; });
+        this.revealed = new Uint8Array(rows * cols);
+        this.revealedCount = 0;
+        this.counts = new Uint8Array(rows * cols);
+        mines.forEach(index => this.neighbours(index).forEach(n => { this.counts[n] += 1; }));
+    }
+
+    to_1d(row, col) {
+        return row * this.num_cols + col;
+    }
+
+    neighbours(index) {
+        const row = Math.floor(index / this.num_cols);
+        const col = index % this.num_cols;
+        const result = [];
+        for (let r = Math.max(row - 1, 0); r <= Math.min(row + 1, this.num_rows - 1); r++) {
+            for (let c = Math.max(col - 1, 0); c <= Math.min(col + 1, this.num_cols - 1); c++) {
+                if (r !== row || c !== col) result.push(this.to_1d(r, c));
+            }
+        }
+        return result;
+    }
+
+    /**
+     * reveals a cell, and all cells connected to it through cells without adjacent mines
+     */
+    reveal(index) {
+        const stack = [index];
+        while (stack.length > 0) {
+            const next = stack.pop();
+            if (this.revealed[next]) continue;
+            this.revealed[next] = 1;
+            this.revealedCount += 1;
+            if (this.counts[next] === 0) stack.push(...this.neighbours(next));
+        }
+    }
+
+    isRevealedCell(row, col) {
+        return this.revealed[this.to_1d(row, col)] === 1;
+    }
+
+    isMinedCell(row, col) {
+        return this.mined[this.to_1d(row, col)] === 1;
+    }
+
+    cellAdjMineCount(row, col) {
+        return this.counts[this.to_1d(row, col)];
+    }
+
+    totalMines() {
+        return this.mineCount;
+    }
+}
+
+export {MAX_ATTEMPTS, generateNoGuessMines, isSolvableByLogic};
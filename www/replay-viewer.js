@@ -0,0 +1,146 @@
+/**
+ * A replay viewer. It renders a ReplayPlayer's game on a canvas of its own (with the same renderGrid pipeline as the
+ * board, and the board's theme, the end of the game is presented like on the board) and gives the player play/pause,
+ * speed and scrubbing controls.
+ */
+
+import {ReplayPlayer} from "./replay";
+import {renderGrid, renderGameOver, sizeCanvas} from "./canvas-view";
+import {DEFAULT_THEME, themeByKey} from "./themes";
+import {DEFAULT_CELL_SIZE} from "./cell-size";
+
+const PLAY_SYMBOL   = '\u25B6';            // Black Right-Pointing Triangle
+const PAUSE_SYMBOL  = '\u23F8';            // Double Vertical Bar
+
+// playback speeds offered by the speed select
+const SPEEDS = [0.5, 1, 2, 4, 8];
+
+/**
+ * builds the inner HTML of a viewer
+ */
+const viewerTemplate = () => `
+    <div class="grid-viewport">
+      <canvas class="grid-canvas replay-canvas" aria-label="Replay of the game"></canvas>
+    </div>
+    <div class="replay-controls button-row">
+      <button class="replay-play-btn btn" type="button"></button>
+      <input type="range" class="replay-scrubber" min="0" step="1" aria-label="Replay position">
+      <span class="replay-time"></span>
+      <select class="replay-speed" aria-label="Replay speed">
+        ${SPEEDS.map(speed => `<option value="${speed}">${speed}x</option>`).join('')}
+      </select>
+    </div>`;
+
+class ReplayViewer {
+
+    /**
+     * renders a viewer for a recording into a container element, positioned at the start of the replay
+     * @param container - DOM element that will hold the viewer
+     * @param recording - the recording to play, see replay.js
+     * @param options.theme - the theme to render with, see themes.js
+     * @param options.cellSize - size of the cells in css px
+     */
+    constructor(container, recording, {theme = themeByKey(DEFAULT_THEME), cellSize = DEFAULT_CELL_SIZE} = {}) {
+        this.container = container;
+        this.theme = theme;
+        container.innerHTML = viewerTemplate();
+        const find = (selector) => container.querySelector(selector);
+        this.canvas = find(".replay-canvas");
+        this.ctx = this.canvas.getContext('2d');
+        this.playBtn = find(".replay-play-btn");
+        this.scrubber = find(".replay-scrubber");
+        this.timeOutput = find(".replay-time");
+        this.speedSelect = find(".replay-speed");
+
+        this.player = new ReplayPlayer(recording);
+        this.scrubber.max = this.player.duration;
+        this.speedSelect.value = "1";
+
+        this.player.on('frame', ({state, position}) => this.renderFrame(state, position));
+        this.player.on('playingChange', ({playing}) => this.renderPlayButton(playing));
+
+        this.playBtn.addEventListener('click', () => {
+            if (this.player.playing) {
+                this.player.pause();
+            } else {
+                this.player.play();
+            }
+        });
+        // dragging the scrubber pauses playback and shows the game at the scrubbed time
+        this.scrubber.addEventListener('input', () => {
+            this.player.pause();
+            this.player.seek(this.scrubber.valueAsNumber);
+        });
+        this.speedSelect.addEventListener('change', () => this.player.setSpeed(Number(this.speedSelect.value)));
+
+        sizeCanvas(this.canvas, this.player.state, theme, {cellSize});
+        this.renderPlayButton(false);
+        this.player.seek(0);
+    }
+
+    /**
+     * renders the replayed game and the replay position
+     * @param state - MinesweeperState of the replayed game
+     * @param position - time in the replay (ms)
+     */
+    renderFrame(state, position) {
+        renderReplayGrid(this.ctx, state, this.theme);
+        this.scrubber.value = position;
+        this.timeOutput.innerText = `${formatSeconds(position)} / ${formatSeconds(this.player.duration)}`;
+    }
+
+    /**
+     * changes the theme and renders the replayed game again with it
+     * @param theme - the theme to render with, see themes.js
+     */
+    setTheme(theme) {
+        this.theme = theme;
+        this.canvas.style.backgroundColor = theme.palette.hiddenCell;
+        renderReplayGrid(this.ctx, this.player.state, theme);
+    }
+
+    /**
+     * changes the size of the cells and renders the replayed game again at that size
+     * @param cellSize - size of the cells in css px
+     */
+    setCellSize(cellSize) {
+        sizeCanvas(this.canvas, this.player.state, this.theme, {cellSize});
+        renderReplayGrid(this.ctx, this.player.state, this.theme);
+    }
+
+    /**
+     * updates the play/pause button to match the playback state
+     * @param playing - true while the replay is playing
+     */
+    renderPlayButton(playing) {
+        this.playBtn.innerText = playing ? `${PAUSE_SYMBOL} Pause` : `${PLAY_SYMBOL} Play`;
+    }
+
+    /**
+     * stops playback and empties the container element
+     */
+    dispose() {
+        this.player.dispose();
+        this.container.innerHTML = "";
+    }
+}
+
+/**
+ * renders a replayed game, presenting its end once the replay reaches the move that won or lost it
+ */
+function renderReplayGrid(ctx, state, theme) {
+    if (state.isGameWon() || state.isGameLost()) {
+        renderGameOver(ctx, state, theme);
+    } else {
+        renderGrid(ctx, state, theme);
+    }
+}
+
+/**
+ * formats a time in ms as seconds with one decimal, i.e. "12.3s"
+ */
+function formatSeconds(ms) {
+    return `${(ms / 1000).toFixed(1)}s`;
+}
+
+export {ReplayViewer};
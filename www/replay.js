@@ -0,0 +1,231 @@
+/**
+ * Replays of minesweeper games. A ReplayRecorder records every game played on a GameController as a "recording":
+ *      {version, recordedAt, board, actions}
+ * where board is the game as it was when it started (see GameController.saveData) and actions is the list of
+ * {action, row, col, time} applied to it, time being the ms offset of the action from the start of the game.
+ * Undo and redo are recorded as actions too (with their HistoryAction). The mine layout a no-guess game generated on
+ * its first reveal is recorded in the board, generation is limited by time and could find another layout when the
+ * game is replayed.
+ * A ReplayPlayer plays a recording back on a headless GameController of its own, so that a view can render the game
+ * at any point in time. Recordings are plain JSON objects, they can be saved to a file and read back with
+ * parseRecording.
+ */
+
+import {EventEmitter} from "./event-emitter";
+import {GameController, GameAction, HistoryAction} from "./game-controller";
+
+// version of the recordings, bumped whenever their format changes
+const REPLAY_VERSION = 1;
+
+// how often (in ms) a playing ReplayPlayer advances
+const FRAME_MS = 50;
+
+// timers of the player's GameController, the replayed game's own timer is never needed
+const NO_TIMERS = {setInterval: () => undefined, clearInterval: () => {}};
+
+const REPLAYABLE_ACTIONS = new Set([...Object.values(GameAction), ...Object.values(HistoryAction)]);
+
+class ReplayRecorder {
+
+    /**
+     * starts recording every game played on a controller, beginning with its next game
+     * @param controller - the GameController to record
+     * @param options.now - function returning the current time in ms, defaults to Date.now
+     */
+    constructor(controller, {now = Date.now} = {}) {
+        this.recording = undefined;
+        this.startTime = 0;
+        this.unsubscribers = [
+            controller.on('newGame', () => {
+                this.startTime = now();
+                this.recording = {
+                    version: REPLAY_VERSION,
+                    recordedAt: new Date(this.startTime).toISOString(),
+                    board: controller.saveData(),
+                    actions: [],
+                };
+            }),
+            controller.on('action', ({action, row, col}) => {
+                this.recording.actions.push({action, row, col, time: now() - this.startTime});
+            }),
+            controller.on('noGuessGenerated', ({mines, attempts, solvable}) => {
+                this.recording.board.state.noGuessResult = {mines, attempts, solvable};
+            }),
+        ];
+    }
+
+    /**
+     * stops recording
+     */
+    dispose() {
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+    }
+}
+
+/**
+ * reads a recording, i.e. one that was saved to a file
+ * @param text - the recording as JSON
+ * @returns {object} the recording
+ * @throws Error if the text is not a recording this version can play
+ */
+function parseRecording(text) {
+    let recording;
+    try {
+        recording = JSON.parse(text);
+    } catch (e) {
+        throw new Error("the replay is not valid JSON");
+    }
+    if (!recording || recording.version !== REPLAY_VERSION) {
+        throw new Error(`unsupported replay version: ${recording && recording.version}`);
+    }
+    const {rows, cols} = (recording.board && recording.board.state) || {};
+    if (!Number.isInteger(rows) || !Number.isInteger(cols) || !Array.isArray(recording.actions)) {
+        throw new Error("the replay is missing its board or its actions");
+    }
+    // the actions are played from a timer, where a cell outside the grid would throw
+    const isCell = (row, col) => Number.isInteger(row) && Number.isInteger(col)
+        && row >= 0 && row < rows && col >= 0 && col < cols;
+    if (!recording.actions.every(({action, row, col, time}) =>
+        REPLAYABLE_ACTIONS.has(action) && Number.isFinite(time) && isCell(row, col))) {
+        throw new Error("the replay has invalid actions");
+    }
+    return recording;
+}
+
+/**
+ * Plays back a recording.
+ *
+ * Events emitted:
+ *      'frame'     - {state, position}     the replayed game changed, state is its MinesweeperState and position is
+ *                                          the current time in the replay (ms)
+ *      'playingChange' - {playing}         playback was started or paused
+ */
+class ReplayPlayer extends EventEmitter {
+
+    /**
+     * @param recording - the recording to play
+     * @param options.timers - object with setInterval/clearInterval functions, defaults to the global timer functions
+     * @param options.now - function returning the current time in ms, defaults to Date.now
+     */
+    constructor(recording, {timers = {setInterval, clearInterval}, now = Date.now} = {}) {
+        super();
+        this.recording = recording;
+        this.timers = timers;
+        this.now = now;
+        this.controller = new GameController({timers: NO_TIMERS});
+        this.speed = 1;
+        this.timer = undefined;
+        this.lastFrameTime = 0;
+        this.rewind();
+    }
+
+    /**
+     * @returns {MinesweeperState} the replayed game at the current position
+     */
+    get state() {
+        return this.controller.state;
+    }
+
+    /**
+     * @returns {number} length of the replay in ms, the time of its last action
+     */
+    get duration() {
+        const actions = this.recording.actions;
+        return actions.length ? actions[actions.length - 1].time : 0;
+    }
+
+    /**
+     * @returns {boolean} true while the replay is playing
+     */
+    get playing() {
+        return this.timer !== undefined;
+    }
+
+    /**
+     * restores the game to its starting board, before the first action
+     */
+    rewind() {
+        // resuming frees the state of the replayed game, so rewinding again and again does not leak wasm memory
+        this.controller.resume(this.recording.board);
+        this.nextAction = 0;
+        this.position = 0;
+    }
+
+    /**
+     * moves the replay to a point in time, applying every action up to it
+     * @param position - time in the replay (ms), clamped between 0 and the duration
+     */
+    seek(position) {
+        position = Math.min(Math.max(position, 0), this.duration);
+        if (position < this.position) {
+            this.rewind();
+        }
+        const actions = this.recording.actions;
+        while (this.nextAction < actions.length && actions[this.nextAction].time <= position) {
+            const {action, row, col} = actions[this.nextAction++];
+            if (action === HistoryAction.Undo) {
+                this.controller.undo();
+            } else if (action === HistoryAction.Redo) {
+                this.controller.redo();
+            } else {
+                this.controller.applyMove(action, row, col);
+            }
+        }
+        this.position = position;
+        this.emit('frame', {state: this.state, position});
+    }
+
+    /**
+     * starts playing from the current position, or from the start if the replay is at its end
+     */
+    play() {
+        if (this.playing) return;
+        if (this.position >= this.duration) {
+            this.seek(0);
+        }
+        this.lastFrameTime = this.now();
+        this.timer = this.timers.setInterval(() => this.advance(), FRAME_MS);
+        this.emit('playingChange', {playing: true});
+    }
+
+    /**
+     * pauses playback (if it is playing)
+     */
+    pause() {
+        if (!this.playing) return;
+        this.timers.clearInterval(this.timer);
+        this.timer = undefined;
+        this.emit('playingChange', {playing: false});
+    }
+
+    /**
+     * sets the playback speed
+     * @param speed - multiple of the recorded speed, i.e. 2 plays twice as fast
+     */
+    setSpeed(speed) {
+        this.speed = speed;
+    }
+
+    /**
+     * moves a playing replay forward by the time passed since the last frame, and pauses it at its end
+     */
+    advance() {
+        const now = this.now();
+        this.seek(this.position + (now - this.lastFrameTime) * this.speed);
+        this.lastFrameTime = now;
+        if (this.position >= this.duration) {
+            this.pause();
+        }
+    }
+
+    /**
+     * stops playback and removes all listeners. The player should not be used after it is disposed
+     */
+    dispose() {
+        this.pause();
+        this.controller.dispose();
+        this.listeners.clear();
+    }
+}
+
+export {ReplayRecorder, ReplayPlayer, parseRecording};
@@ -0,0 +1,77 @@
+/**
+ * Win/loss rule sets. The Rust side decides when a game is won or lost by its RuleSet, a rule set here names one for
+ * the settings panel and describes it for the help text:
+ *      name    - shown in the settings panel
+ *      ruleSet - the RuleSet the Rust side plays by
+ *      win     - how a game is won, completes "To win: "
+ *      lose    - the ways a game is lost, listed under "You lose if:"
+ */
+
+import {RuleSet} from "wasm-minesweeper";
+
+// key of the rule set used when none was selected, the rules of the original game
+const DEFAULT_RULES = "flagAll";
+
+/**
+ * the selectable rule sets
+ */
+const RULE_SETS = Object.freeze({
+    revealAll: Object.freeze({
+        name: "Classic (reveal all safe squares)",
+        ruleSet: RuleSet.RevealAll,
+        win: "you must reveal every square that does not contain a mine, flags are optional",
+        lose: ["you reveal a square with a mine"],
+    }),
+    flagAll: Object.freeze({
+        name: "Flag all mines",
+        ruleSet: RuleSet.FlagAll,
+        win: "you must correctly flag all squares that contain a mine",
+        lose: [
+            "you reveal a square with a mine",
+            "you place the last flag and at least one of the squares is flagged incorrectly",
+        ],
+    }),
+    strict: Object.freeze({
+        name: "Strict (no wrong flags)",
+        ruleSet: RuleSet.Strict,
+        win: "you must reveal every square that does not contain a mine",
+        lose: ["you reveal a square with a mine", "you flag a square that does not contain a mine"],
+    }),
+});
+
+/**
+ * looks up a rule set
+ * @param key - key of a RULE_SETS entry
+ * @returns {object} the rule set, an Error is thrown if there is no rule set with that key
+ */
+function rulesByKey(key) {
+    const rules = RULE_SETS[key];
+    if (!rules) throw new Error(`unknown rule set: ${key}`);
+    return rules;
+}
+
+/**
+ * fills an element with the description of a rule set's win and loss conditions
+ * @param element - DOM element to hold the description, its previous content is replaced
+ * @param key - key of a RULE_SETS entry
+ */
+function renderRulesHelp(element, key) {
+    const {win, lose} = rulesByKey(key);
+    const doc = element.ownerDocument;
+    const winItem = doc.createElement("li");
+    const heading = doc.createElement("strong");
+    heading.textContent = "To win:";
+    winItem.append(heading, ` ${win}`);
+    const loseItem = doc.createElement("li");
+    loseItem.textContent = "You lose if:";
+    const loseList = doc.createElement("ul");
+    lose.forEach(text => {
+        const item = doc.createElement("li");
+        item.textContent = text;
+        loseList.append(item);
+    });
+    loseItem.append(loseList);
+    element.replaceChildren(winItem, loseItem);
+}
+
+export {RULE_SETS, DEFAULT_RULES, rulesByKey, renderRulesHelp};
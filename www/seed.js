@@ -0,0 +1,43 @@
+/**
+ * Helpers for the seeds that minesweeper boards are generated from. A seed is an unsigned 32-bit integer, the same
+ * seed (with the same rows, cols and mines) always produces the same mine layout
+ */
+
+const MAX_SEED = 0xFFFFFFFF;
+
+/**
+ * @returns {number} a new random seed
+ */
+function randomSeed() {
+    return Math.floor(Math.random() * (MAX_SEED + 1));
+}
+
+/**
+ * parses a seed typed in by the player or passed in the URL
+ * @param value - string (or number) to parse
+ * @returns {number|undefined} the seed, or undefined if value is not an integer between 0 and 2^32 - 1
+ */
+function parseSeed(value) {
+    if (value === null || value === undefined || String(value).trim() === '') return undefined;
+    const seed = Number(value);
+    return Number.isInteger(seed) && seed >= 0 && seed <= MAX_SEED ? seed : undefined;
+}
+
+/**
+ * creates a seeded pseudo random number generator (Mulberry32, the same generator the Rust side uses), for scripts
+ * that need repeatable randomness such as the bot
+ * @param seed - seed of the generator
+ * @returns {function} a function returning the next random number between 0 (inclusive) and 1 (exclusive)
+ */
+function seededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+export {randomSeed, parseSeed, seededRandom};
@@ -0,0 +1,457 @@
+/**
+ * A minesweeper logic solver. It only reads what the player can see through a MinesweeperState (the revealed numbers
+ * and the total number of mines, flags are not trusted unless asked to) and works out:
+ *      - cells that are certainly safe or certainly mined, from single-cell rules (a number whose mines are all
+ *        found, or whose hidden neighbours must all be mines), from subset rules (the hidden neighbours of one number
+ *        contain those of another) and from enumerating every arrangement of mines that fits the numbers
+ *      - the probability that each hidden cell is a mine, used when no certain move exists
+ * findHint turns this into a single suggested move with a justification that can be shown to the player.
+ */
+
+// a frontier component with more cells than this is not enumerated, its probabilities are estimated instead
+const MAX_ENUMERATED_CELLS = 48;
+
+// an enumeration that visits more partial arrangements than this is abandoned, its probabilities are estimated
+const MAX_ENUMERATION_STEPS = 200000;
+
+// the distribution of the mines on no cells: a single arrangement, without mines
+const NO_MINES = Object.freeze({offset: 0, counts: [1]});
+
+/**
+ * the kinds of hints
+ */
+const HintKind = Object.freeze({
+    Safe:      'safe',          // the cell is certainly safe, reveal it
+    Mine:      'mine',          // the cell is certainly a mine, flag it
+    WrongFlag: 'wrongFlag',     // the cell is flagged but certainly safe, remove the flag
+    Guess:     'guess',         // no cell is certain, the cell is the least likely to be a mine
+});
+
+/**
+ * finds the cells that are certainly safe or certainly mined using the single-cell and subset rules
+ * @param state - MinesweeperState of the game
+ * @param options.trustFlags - if true, flagged cells are taken to be mines (default false)
+ * @returns {object} {safe, mines, constraints}: safe and mines map the 1D index of each certain cell to the reason
+ *                   it is certain, constraints are the numbers' constraints on the remaining unknown cells
+ */
+function analyze(state, {trustFlags = false} = {}) {
+    const safe = new Map();
+    const mines = new Map();
+    const constraints = numberConstraints(state);
+    if (trustFlags) {
+        for (let row = 0; row < state.num_rows; row++) {
+            for (let col = 0; col < state.num_cols; col++) {
+                if (state.isFlaggedCell(row, col)) mines.set(state.to_1d(row, col), "it is flagged");
+            }
+        }
+    }
+
+    let changed = true;
+    while (changed) {
+        changed = false;
+        const reduced = reduceConstraints(constraints, mines, safe);
+
+        // single-cell rules
+        reduced.forEach(constraint => {
+            if (constraint.cells.length === 0) return;
+            if (constraint.mines === 0) {
+                constraint.cells.forEach(index => safe.set(index, safeReason(constraint)));
+                changed = true;
+            } else if (constraint.mines === constraint.cells.length) {
+                constraint.cells.forEach(index => mines.set(index, mineReason(constraint)));
+                changed = true;
+            }
+        });
+        if (changed) continue;
+
+        // subset rules: if every unknown neighbour of b is also a neighbour of a, the rest of a's unknown neighbours
+        // hold exactly a.mines - b.mines mines. Such an a shares b's first cell, so only the constraints on that cell
+        // are compared with b
+        const active = reduced.filter(constraint => constraint.cells.length > 0);
+        const cellSets = new Map(active.map(constraint => [constraint, new Set(constraint.cells)]));
+        const byCell = new Map();
+        active.forEach(constraint => constraint.cells.forEach(index => {
+            if (!byCell.has(index)) byCell.set(index, []);
+            byCell.get(index).push(constraint);
+        }));
+        for (const b of active) {
+            for (const a of byCell.get(b.cells[0])) {
+                if (b.cells.length >= a.cells.length) continue;
+                const aCells = cellSets.get(a);
+                if (!b.cells.every(index => aCells.has(index))) continue;
+                const bCells = cellSets.get(b);
+                const rest = {
+                    cells: a.cells.filter(index => !bCells.has(index)),
+                    mines: a.mines - b.mines,
+                    subset: {a, b},
+                };
+                if (rest.mines === 0) {
+                    rest.cells.forEach(index => safe.set(index, safeReason(rest)));
+                    changed = true;
+                } else if (rest.mines === rest.cells.length) {
+                    rest.cells.forEach(index => mines.set(index, mineReason(rest)));
+                    changed = true;
+                }
+            }
+        }
+    }
+    return {safe, mines, constraints: reduceConstraints(constraints, mines, safe)};
+}
+
+/**
+ * builds one constraint per revealed number that has unrevealed neighbours
+ * @returns {Array} {cells, mines, row, col, number} of each constraint: mines of its cells are mined
+ */
+function numberConstraints(state) {
+    const constraints = [];
+    for (let row = 0; row < state.num_rows; row++) {
+        for (let col = 0; col < state.num_cols; col++) {
+            if (!state.isRevealedCell(row, col) || state.isMinedCell(row, col)) continue;
+            const number = state.cellAdjMineCount(row, col);
+            const cells = neighbours(state, row, col).filter(([r, c]) => !state.isRevealedCell(r, c))
+                .map(([r, c]) => state.to_1d(r, c));
+            if (cells.length > 0) {
+                constraints.push({cells, mines: number, row, col, number});
+            }
+        }
+    }
+    return constraints;
+}
+
+/**
+ * removes the known cells from constraints
+ * @returns {Array} the constraints on the cells that are still unknown, with the known mines subtracted
+ */
+function reduceConstraints(constraints, mines, safe) {
+    return constraints.map(constraint => ({
+        ...constraint,
+        cells: constraint.cells.filter(index => !mines.has(index) && !safe.has(index)),
+        mines: constraint.mines - constraint.cells.filter(index => mines.has(index)).length,
+    }));
+}
+
+/**
+ * describes the number a constraint comes from, i.e. "the 2 at row 3 column 4"
+ */
+function describeNumber({number, row, col}) {
+    return `the ${number} at row ${row + 1} column ${col + 1}`;
+}
+
+/**
+ * @returns {string} the reason the cells of a constraint with no mines left are safe
+ */
+function safeReason(constraint) {
+    if (constraint.subset) {
+        const {a, b} = constraint.subset;
+        return `every hidden neighbour of ${describeNumber(b)} is also next to ${describeNumber(a)}, and both need ` +
+            `${plural(a.mines, "more mine")}, so the other hidden neighbours of ${describeNumber(a)} are safe`;
+    }
+    return constraint.number === 0
+        ? `${describeNumber(constraint)} has no mines around it`
+        : `${describeNumber(constraint)} already touches ${plural(constraint.number, "known mine")}, so its ` +
+          `other hidden neighbours are safe`;
+}
+
+/**
+ * @returns {string} the reason the cells of a constraint with as many mines as cells are mines
+ */
+function mineReason(constraint) {
+    if (constraint.subset) {
+        const {a, b} = constraint.subset;
+        return `every hidden neighbour of ${describeNumber(b)} is also next to ${describeNumber(a)}, so the other ` +
+            `hidden neighbours of ${describeNumber(a)} hold ${plural(a.mines - b.mines, "mine")} and there are ` +
+            `exactly that many of them, so they are all mines`;
+    }
+    return `${describeNumber(constraint)} needs ${plural(constraint.mines, "more mine")} and has exactly ` +
+        `${plural(constraint.cells.length, "hidden neighbour")} left, so ` +
+        `${constraint.cells.length === 1 ? "it is a mine" : "they are all mines"}`;
+}
+
+/**
+ * computes the probability that each cell is a mine, from every arrangement of mines that fits the revealed numbers
+ * and the total number of mines
+ * @param state - MinesweeperState of the game
+ * @param analysis - result of analyze(state), computed if not given
+ * @returns {Float64Array} mine probability (0 to 1) of each cell by 1D index, NaN for revealed cells
+ */
+function mineProbabilities(state, analysis = analyze(state)) {
+    const size = state.num_rows * state.num_cols;
+    const probabilities = new Float64Array(size).fill(NaN);
+    const unknown = new Set();
+    for (let index = 0; index < size; index++) {
+        const row = Math.floor(index / state.num_cols);
+        const col = index % state.num_cols;
+        if (state.isRevealedCell(row, col)) continue;
+        if (analysis.mines.has(index)) {
+            probabilities[index] = 1;
+        } else if (analysis.safe.has(index)) {
+            probabilities[index] = 0;
+        } else {
+            unknown.add(index);
+        }
+    }
+
+    const constraints = analysis.constraints.filter(constraint => constraint.cells.length > 0);
+    const components = frontierComponents(constraints).map(enumerateComponent);
+    const frontier = new Set(constraints.flatMap(constraint => constraint.cells));
+    const others = [...unknown].filter(index => !frontier.has(index));
+    const minesLeft = Math.max(state.totalMines() - analysis.mines.size, 0);
+
+    // weight of t mines on the frontier: the number of ways to place the other mines on the other unknown cells
+    const logWeights = [];
+    for (let t = 0; t <= frontier.size; t++) {
+        logWeights.push(minesLeft - t >= 0 && minesLeft - t <= others.length
+            ? logChoose(others.length, minesLeft - t) : -Infinity);
+    }
+    const maxLogWeight = Math.max(...logWeights);
+    const weights = logWeights.map(logWeight => maxLogWeight === -Infinity ? 0 : Math.exp(logWeight - maxLogWeight));
+
+    // distributions of the mines on the components before c and after c, so that the distribution of the mines on
+    // every other component takes a single convolution
+    const distributions = components.map(component => distribution(component.counts));
+    const before = [NO_MINES];
+    distributions.forEach((dist, c) => { before[c + 1] = convolve(before[c], dist); });
+    const after = [];
+    after[components.length] = NO_MINES;
+    for (let c = components.length - 1; c >= 0; c--) after[c] = convolve(distributions[c], after[c + 1]);
+    const total = before[components.length];
+    const weighted = (dist, f = () => 1) =>
+        dist.counts.reduce((sum, count, i) => sum + count * (weights[dist.offset + i] || 0) * f(dist.offset + i), 0);
+    const normalizer = weighted(total);
+
+    if (normalizer === 0) {
+        // the numbers contradict each other (or the mine count), fall back to the mine density
+        unknown.forEach(index => { probabilities[index] = minesLeft / Math.max(unknown.size, 1); });
+        return probabilities;
+    }
+
+    components.forEach((component, c) => {
+        // distribution of the mines on every other component, and the weight of k mines on this one
+        const rest = convolve(before[c], after[c + 1]);
+        const kWeights = component.counts.map((count, k) => weighted({offset: rest.offset + k, counts: rest.counts}));
+        component.cells.forEach((index, i) => {
+            const mined = component.cellCounts.reduce((sum, cellCounts, k) => sum + cellCounts[i] * kWeights[k], 0);
+            probabilities[index] = mined / normalizer;
+        });
+    });
+
+    if (others.length > 0) {
+        const expectedMines = weighted(total, t => minesLeft - t);
+        others.forEach(index => { probabilities[index] = expectedMines / normalizer / others.length; });
+    }
+    return probabilities;
+}
+
+/**
+ * groups constraints that share cells into independent components
+ * @returns {Array} {cells, constraints} of each component
+ */
+function frontierComponents(constraints) {
+    const parent = new Map();
+    const find = (index) => {
+        while (parent.get(index) !== index) {
+            parent.set(index, parent.get(parent.get(index)));
+            index = parent.get(index);
+        }
+        return index;
+    };
+    constraints.forEach(({cells}) => cells.forEach(index => { if (!parent.has(index)) parent.set(index, index); }));
+    constraints.forEach(({cells}) => cells.forEach(index => parent.set(find(index), find(cells[0]))));
+
+    const components = new Map();
+    constraints.forEach(constraint => {
+        const root = find(constraint.cells[0]);
+        if (!components.has(root)) components.set(root, {cells: new Set(), constraints: []});
+        const component = components.get(root);
+        component.constraints.push(constraint);
+        constraint.cells.forEach(index => component.cells.add(index));
+    });
+    return [...components.values()].map(({cells, constraints}) => ({cells: [...cells], constraints}));
+}
+
+/**
+ * counts the arrangements of mines on a component's cells that satisfy all of its constraints
+ * @returns {object} {cells, counts, cellCounts}: counts[k] is the number of arrangements with k mines and
+ *                   cellCounts[k][i] the number of those in which cells[i] is a mine
+ */
+function enumerateComponent({cells, constraints}) {
+    const position = new Map(cells.map((index, i) => [index, i]));
+    const cellConstraints = cells.map(() => []);
+    const needed = constraints.map(constraint => constraint.mines);
+    const unassigned = constraints.map(constraint => constraint.cells.length);
+    constraints.forEach((constraint, c) => constraint.cells.forEach(index => {
+        cellConstraints[position.get(index)].push(c);
+    }));
+
+    const counts = [];
+    const cellCounts = [];
+    const assignment = new Uint8Array(cells.length);
+    let steps = 0;
+    let abandoned = cells.length > MAX_ENUMERATED_CELLS;
+
+    const assign = (i, mine) => {
+        for (const c of cellConstraints[i]) {
+            unassigned[c] -= 1;
+            needed[c] -= mine;
+        }
+        return cellConstraints[i].every(c => needed[c] >= 0 && needed[c] <= unassigned[c]);
+    };
+    const unassign = (i, mine) => {
+        for (const c of cellConstraints[i]) {
+            unassigned[c] += 1;
+            needed[c] += mine;
+        }
+    };
+    const search = (i, mineCount) => {
+        if (abandoned) return;
+        if (++steps > MAX_ENUMERATION_STEPS) {
+            abandoned = true;
+            return;
+        }
+        if (i === cells.length) {
+            counts[mineCount] = (counts[mineCount] || 0) + 1;
+            if (!cellCounts[mineCount]) cellCounts[mineCount] = new Float64Array(cells.length);
+            assignment.forEach((mine, j) => { cellCounts[mineCount][j] += mine; });
+            return;
+        }
+        for (const mine of [0, 1]) {
+            assignment[i] = mine;
+            if (assign(i, mine)) search(i + 1, mineCount + mine);
+            unassign(i, mine);
+        }
+        assignment[i] = 0;
+    };
+    search(0, 0);
+
+    if (abandoned) return estimateComponent({cells, constraints});
+    for (let k = 0; k < counts.length; k++) {
+        counts[k] = counts[k] || 0;
+        cellCounts[k] = cellCounts[k] || new Float64Array(cells.length);
+    }
+    return {cells, counts, cellCounts};
+}
+
+/**
+ * estimates the mine probabilities of a component that is too large to enumerate: each cell gets the highest mine
+ * density of the constraints it is part of, and the component is treated as always holding the expected number of
+ * mines
+ */
+function estimateComponent({cells, constraints}) {
+    const densities = cells.map(index => Math.max(...constraints
+        .filter(constraint => constraint.cells.includes(index))
+        .map(constraint => constraint.mines / constraint.cells.length)));
+    const expected = Math.round(densities.reduce((sum, density) => sum + density, 0));
+    const counts = new Array(expected + 1).fill(0);
+    const cellCounts = counts.map(() => new Float64Array(cells.length));
+    counts[expected] = 1;
+    cellCounts[expected] = Float64Array.from(densities);
+    return {cells, counts, cellCounts};
+}
+
+/**
+ * converts counts of arrangements by mine count into a distribution: {offset, counts} where counts[i] is the number
+ * of arrangements with offset + i mines. The offset skips the mine counts no arrangement has, which keeps the
+ * convolutions of large frontiers short
+ */
+function distribution(counts) {
+    const offset = Math.max(counts.findIndex(count => count !== 0), 0);
+    return {offset, counts: counts.slice(offset)};
+}
+
+/**
+ * convolves two distributions of mine counts (see distribution)
+ */
+function convolve(a, b) {
+    const counts = new Array(a.counts.length + b.counts.length - 1).fill(0);
+    a.counts.forEach((x, i) => b.counts.forEach((y, j) => { counts[i + j] += x * y; }));
+    return {offset: a.offset + b.offset, counts};
+}
+
+/**
+ * @returns {number} the natural log of n choose k
+ */
+function logChoose(n, k) {
+    let result = 0;
+    for (let i = 1; i <= k; i++) {
+        result += Math.log(n - k + i) - Math.log(i);
+    }
+    return result;
+}
+
+/**
+ * suggests a move for the player: a cell that is certainly safe to reveal, else a certain mine to flag (or a wrong
+ * flag to remove), else the cell that is least likely to be a mine
+ * @param state - MinesweeperState of the game, it must not be over
+ * @returns {object|undefined} {row, col, kind, reason, probability} of the hint, kind is a HintKind and probability
+ *                             is the chance that the cell is a mine. undefined if every cell is revealed or marked
+ */
+function findHint(state) {
+    const cols = state.num_cols;
+    const hint = (index, kind, reason, probability) =>
+        ({row: Math.floor(index / cols), col: index % cols, kind, reason, probability});
+    const isFlagged = (index) => state.isFlaggedCell(Math.floor(index / cols), index % cols);
+
+    if (!state.started) {
+        return hint(state.to_1d(Math.floor(state.num_rows / 2), Math.floor(cols / 2)), HintKind.Safe,
+            "the first cell you reveal is never a mine", 0);
+    }
+
+    const analysis = analyze(state);
+    for (const [index, reason] of analysis.safe) {
+        if (!isFlagged(index)) return hint(index, HintKind.Safe, reason, 0);
+    }
+    for (const [index, reason] of analysis.safe) {
+        return hint(index, HintKind.WrongFlag, reason, 0);
+    }
+    for (const [index, reason] of analysis.mines) {
+        if (!isFlagged(index)) return hint(index, HintKind.Mine, reason, 1);
+    }
+
+    // no rule found a move, look for cells that are certain in every arrangement of mines, else guess
+    const probabilities = mineProbabilities(state, analysis);
+    const arrangements = "every arrangement of mines that fits the revealed numbers";
+    const candidates = [];
+    probabilities.forEach((probability, index) => {
+        if (!Number.isNaN(probability) && !analysis.mines.has(index)) candidates.push({index, probability});
+    });
+    const safe = candidates.filter(({probability}) => probability === 0);
+    const safeCell = safe.find(({index}) => !isFlagged(index));
+    if (safeCell) {
+        return hint(safeCell.index, HintKind.Safe, `${arrangements} leaves this cell empty`, 0);
+    }
+    if (safe.length > 0) {
+        return hint(safe[0].index, HintKind.WrongFlag, `${arrangements} leaves this cell empty`, 0);
+    }
+    const unflagged = candidates.filter(({index}) => !isFlagged(index));
+    const mineCell = unflagged.find(({probability}) => probability > 1 - 1e-9);
+    if (mineCell) {
+        return hint(mineCell.index, HintKind.Mine, `${arrangements} puts a mine in this cell`, 1);
+    }
+    if (unflagged.length === 0) return undefined;
+    const guess = unflagged.reduce((best, candidate) => candidate.probability < best.probability ? candidate : best);
+    return hint(guess.index, HintKind.Guess, `no cell is certainly safe, this one has the lowest chance of being a ` +
+        `mine (${Math.round(guess.probability * 100)}%)`, guess.probability);
+}
+
+/**
+ * lists the neighbours of a cell
+ * @returns {Array} [row, col] of each neighbour within the grid
+ */
+function neighbours(state, row, col) {
+    const result = [];
+    for (let r = Math.max(row - 1, 0); r <= Math.min(row + 1, state.num_rows - 1); r++) {
+        for (let c = Math.max(col - 1, 0); c <= Math.min(col + 1, state.num_cols - 1); c++) {
+            if (r !== row || c !== col) result.push([r, c]);
+        }
+    }
+    return result;
+}
+
+/**
+ * i.e. plural(1, "mine") is "1 mine" and plural(2, "mine") is "2 mines"
+ */
+function plural(count, noun) {
+    return `${count} ${noun}${count === 1 ? "" : "s"}`;
+}
+
+export {HintKind, analyze, mineProbabilities, findHint};
@@ -0,0 +1,142 @@
+/**
+ * Game statistics, persisted in localStorage. Statistics are kept per category: one category per difficulty preset,
+ * and one per grid size and mine count for custom games. Each category counts the games played, won and lost, the
+ * current and best win streaks, the best (fastest) winning time and the times of the most recent wins, and the hints
+ * used. Wins that used hints don't set best times.
+ */
+
+import {DIFFICULTY_PRESETS, findDifficulty} from "./difficulty";
+
+const STORAGE_KEY = "minesweeper.statistics";
+
+// how many of the most recent winning times are kept per category, for the distribution of win times
+const MAX_WIN_TIMES = 500;
+
+/**
+ * @returns {object} the statistics of a category without any games
+ */
+function emptyCategory() {
+    return {
+        played: 0, won: 0, lost: 0, currentStreak: 0, bestStreak: 0, bestTimeMs: undefined, winTimesMs: [],
+        hintsUsed: 0, gamesWithHints: 0,
+    };
+}
+
+/**
+ * builds the key of the category a game belongs to
+ * @returns {string} the key of the game's difficulty preset, or "<rows>x<cols>-<mines>" for custom games
+ */
+function categoryKey(rows, cols, mines) {
+    const difficulty = findDifficulty(rows, cols, mines);
+    return DIFFICULTY_PRESETS[difficulty] ? difficulty : `${rows}x${cols}-${mines}`;
+}
+
+/**
+ * builds a human readable label of a category
+ * @param key - a category key, see categoryKey
+ * @returns {string} i.e. "Beginner" or "10x12, 20 mines"
+ */
+function categoryLabel(key) {
+    if (DIFFICULTY_PRESETS[key]) return DIFFICULTY_PRESETS[key].name;
+    const [size, mines] = key.split("-");
+    return `${size}, ${mines} mines`;
+}
+
+/**
+ * loads the statistics saved in localStorage
+ * @returns {object} category key to category statistics map
+ */
+function loadStatistics() {
+    try {
+        return JSON.parse(window.localStorage.getItem(STORAGE_KEY)) || {};
+    } catch (e) {
+        console.error("could not load statistics", e);
+        return {};
+    }
+}
+
+/**
+ * saves statistics to localStorage
+ * @param statistics - category key to category statistics map
+ */
+function saveStatistics(statistics) {
+    try {
+        window.localStorage.setItem(STORAGE_KEY, JSON.stringify(statistics));
+    } catch (e) {
+        console.error("could not save statistics", e);
+    }
+}
+
+/**
+ * removes all saved statistics
+ */
+function resetStatistics() {
+    try {
+        window.localStorage.removeItem(STORAGE_KEY);
+    } catch (e) {
+        console.error("could not reset statistics", e);
+    }
+}
+
+/**
+ * adds the result of a game to the saved statistics
+ * @param key - key of the game's category, see categoryKey
+ * @param result.won - true if the game was won
+ * @param result.elapsedMs - time the game took, in ms
+ * @param result.hintsUsed - number of hints given during the game (default 0)
+ * @returns {object} the updated statistics of the category, with isBestTime set if the game beat the best time
+ */
+function recordGame(key, {won, elapsedMs, hintsUsed = 0}) {
+    const statistics = loadStatistics();
+    const category = {...emptyCategory(), ...statistics[key]};
+    category.played += 1;
+    category.hintsUsed += hintsUsed;
+    if (hintsUsed > 0) category.gamesWithHints += 1;
+    let isBestTime = false;
+    if (won) {
+        category.won += 1;
+        category.currentStreak += 1;
+        category.bestStreak = Math.max(category.bestStreak, category.currentStreak);
+        isBestTime = hintsUsed === 0 && (category.bestTimeMs === undefined || elapsedMs < category.bestTimeMs);
+        if (isBestTime) category.bestTimeMs = elapsedMs;
+        category.winTimesMs = [...category.winTimesMs, elapsedMs].slice(-MAX_WIN_TIMES);
+    } else {
+        category.lost += 1;
+        category.currentStreak = 0;
+    }
+    statistics[key] = category;
+    saveStatistics(statistics);
+    return {...category, isBestTime};
+}
+
+/**
+ * groups winning times into equally wide buckets
+ * @param winTimesMs - winning times in ms
+ * @param bucketCount - number of buckets
+ * @returns {Array} {fromMs, toMs, count} of each bucket, in ascending order. Empty if there are no winning times
+ */
+function winTimeDistribution(winTimesMs, bucketCount = 10) {
+    if (winTimesMs.length === 0) return [];
+    const min = Math.min(...winTimesMs);
+    const max = Math.max(...winTimesMs);
+    const width = Math.max(Math.ceil((max - min + 1) / bucketCount), 1);
+    const buckets = Array.from({length: bucketCount}, (_, i) => ({
+        fromMs: min + i * width, toMs: min + (i + 1) * width, count: 0
+    }));
+    winTimesMs.forEach(time => { buckets[Math.min(Math.floor((time - min) / width), bucketCount - 1)].count += 1; });
+    // drop the empty buckets past the slowest time
+    while (buckets.length > 1 && buckets[buckets.length - 1].count === 0) buckets.pop();
+    return buckets;
+}
+
+/**
+ * formats a time in ms with millisecond precision, i.e. "83.042s"
+ */
+function formatTime(ms) {
+    return ms === undefined ? "-" : `${(ms / 1000).toFixed(3)}s`;
+}
+
+export {
+    emptyCategory, categoryKey, categoryLabel, loadStatistics, resetStatistics, recordGame, winTimeDistribution,
+    formatTime
+};
@@ -0,0 +1,6 @@
+// Like bootstrap.js, the tests' dependency graph contains wasm and must be imported asynchronously
+import("./tests/index.js")
+  .catch(e => {
+    console.error("Error running the tests:", e);
+    process.exitCode = 1;
+  });
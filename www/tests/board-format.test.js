@@ -0,0 +1,123 @@
+import assert from "assert";
+import {describe, it} from "node:test";
+import {CellState} from "wasm-minesweeper";
+import {MAX_GRID_COLS, MAX_GRID_ROWS} from "../difficulty";
+import {decodeBoard, encodeBoard, formatBoard, parseBoard} from "../board-format";
+
+const {Hidden, Revealed, Flagged, Questioned} = CellState;
+
+// the 3x4 board of the text format's description in board-format.js
+const BOARD = {
+    rows: 3,
+    cols: 4,
+    mines: [6, 10],
+    states: [
+        Revealed, Revealed, Hidden, Hidden,
+        Revealed, Revealed, Flagged, Hidden,
+        Revealed, Revealed, Hidden, Hidden,
+    ],
+};
+
+const BOARD_TEXT = [
+    "# minesweeper board 3x4, 2 mines",
+    "01..",
+    "02F.",
+    "02*.",
+    "",
+].join("\n");
+
+describe("formatBoard", () => {
+    it("writes one line per row with the adjacent mine count of the revealed cells", () => {
+        assert.strictEqual(formatBoard(BOARD), BOARD_TEXT);
+    });
+
+    it("writes every cell hidden when the board has no states", () => {
+        assert.strictEqual(formatBoard({rows: 2, cols: 2, mines: [3]}), "# minesweeper board 2x2, 1 mines\n..\n.*\n");
+    });
+});
+
+describe("parseBoard", () => {
+    it("reads a board written by formatBoard", () => {
+        assert.deepStrictEqual(parseBoard(BOARD_TEXT), BOARD);
+    });
+
+    it("reads every cell character and ignores comments, blank lines and the digits' values", () => {
+        assert.deepStrictEqual(parseBoard("# a comment\r\n\r\n  fFqQ  \r\n8X*.\n# the end"), {
+            rows: 2,
+            cols: 4,
+            mines: [1, 3, 5, 6],
+            states: [Flagged, Flagged, Questioned, Questioned, Revealed, Revealed, Hidden, Hidden],
+        });
+    });
+
+    it("rejects text that is not a board", () => {
+        assert.throws(() => parseBoard(""), /the board is empty/);
+        assert.throws(() => parseBoard("# only a comment\n"), /the board is empty/);
+        assert.throws(() => parseBoard("...\n..\n"), /row 2 has 2 cells, expected 3/);
+        assert.throws(() => parseBoard("..\n.9\n"), /unknown cell '9' at row 2, column 2/);
+    });
+
+    it("rejects boards larger than a game can be played on, or without a cell to reveal", () => {
+        const rows = (count, line) => Array(count).fill(line).join("\n");
+        assert.strictEqual(parseBoard(rows(MAX_GRID_ROWS, ".".repeat(MAX_GRID_COLS))).states.length,
+            MAX_GRID_ROWS * MAX_GRID_COLS);
+        assert.throws(() => parseBoard(rows(MAX_GRID_ROWS + 1, "..")),
+            /the board is 201x2, boards have at most 200 rows and 200 columns/);
+        assert.throws(() => parseBoard(".".repeat(MAX_GRID_COLS + 1)), /the board is 1x201/);
+        assert.throws(() => parseBoard("**\n*F"), /the board has 4 mines, a 2x2 board has at most 3/);
+    });
+});
+
+describe("encodeBoard", () => {
+    it("encodes the mines as a bitset and the states two bits to a cell", () => {
+        // mines 6 and 10 are bits 6 of byte 0 and 2 of byte 1: [0x40, 0x04]. Two bits per state, four cells a byte
+        assert.strictEqual(encodeBoard(BOARD), "3x4.QAQ.8NDw");
+    });
+
+    it("leaves the states out when every cell is hidden", () => {
+        assert.strictEqual(encodeBoard({rows: 2, cols: 2, mines: [3]}), "2x2.CA");
+        assert.strictEqual(encodeBoard({rows: 2, cols: 2, mines: [3], states: [Hidden, Hidden, Hidden, Hidden]}),
+            "2x2.CA");
+    });
+});
+
+describe("decodeBoard", () => {
+    it("decodes a board encoded by encodeBoard", () => {
+        assert.deepStrictEqual(decodeBoard(encodeBoard(BOARD)), BOARD);
+        assert.deepStrictEqual(decodeBoard("2x2.CA"), {rows: 2, cols: 2, mines: [3], states: [
+            Hidden, Hidden, Hidden, Hidden,
+        ]});
+    });
+
+    it("round trips boards of every size through the text and URL formats", () => {
+        [[1, 1], [1, 9], [5, 3], [7, 8], [16, 30]].forEach(([rows, cols]) => {
+            const size = rows * cols;
+            const mines = [...Array(size).keys()].filter(index => index % 4 === 1);
+            const states = [...Array(size).keys()].map(index => mines.includes(index)
+                ? [Hidden, Flagged, Questioned][index % 3]
+                : [Hidden, Revealed, Flagged, Questioned][index % 5 % 4]);
+            const board = {rows, cols, mines, states};
+            assert.deepStrictEqual(decodeBoard(encodeBoard(board)), board, `${rows}x${cols}`);
+            assert.deepStrictEqual(parseBoard(formatBoard(board)), board, `${rows}x${cols}`);
+        });
+    });
+
+    it("rejects encoded boards that are not valid", () => {
+        ["", "2x2", "2x2-CA", "x2.CA", "2x2.C+", "2x2.CA.AA.AA"].forEach(encoded =>
+            assert.throws(() => decodeBoard(encoded), /is not in the <rows>x<cols>\.<mines>\[\.<states>\] format/,
+                encoded));
+        assert.throws(() => decodeBoard("0x5."), /the board is empty/);
+        assert.throws(() => decodeBoard("2x2.CAA"), /the board data does not fit a 2x2 grid/);
+        assert.throws(() => decodeBoard("2x2.CA.AAA"), /the board data does not fit a 2x2 grid/);
+        assert.throws(() => decodeBoard("2x2.C"), /the board data is not valid base64url/);
+    });
+
+    it("rejects boards larger than a game can be played on, or without a cell to reveal", () => {
+        const size = {rows: MAX_GRID_ROWS, cols: MAX_GRID_COLS};
+        assert.deepStrictEqual(decodeBoard(encodeBoard({...size, mines: [0]})).mines, [0]);
+        assert.throws(() => decodeBoard(encodeBoard({...size, rows: MAX_GRID_ROWS + 1, mines: [0]})),
+            /the board is 201x200, boards have at most 200 rows and 200 columns/);
+        assert.throws(() => decodeBoard("1x100000."), /the board is 1x100000/);
+        assert.throws(() => decodeBoard("2x2.Dw"), /the board has 4 mines, a 2x2 board has at most 3/);
+    });
+});
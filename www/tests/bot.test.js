@@ -0,0 +1,106 @@
+import assert from "assert";
+import {describe, it} from "node:test";
+import {CellState} from "wasm-minesweeper";
+import {GameAction} from "../game-controller";
+import {MinesweeperState} from "../minesweeper-state";
+import {BotStrategies, formatReport, parseBoardSpec, playGame, runBenchmark} from "../bot";
+
+const BEGINNER = {rows: 9, cols: 9, mines: 10};
+
+describe("parseBoardSpec", () => {
+    it("parses difficulty keys", () => {
+        assert.deepStrictEqual(parseBoardSpec("expert"), {name: "expert", rows: 16, cols: 30, mines: 99});
+    });
+
+    it("parses a mine count or a mine density", () => {
+        assert.deepStrictEqual(parseBoardSpec("9x12-20"), {name: "9x12-20", rows: 9, cols: 12, mines: 20});
+        assert.deepStrictEqual(parseBoardSpec("10x10-15%"), {name: "10x10-15%", rows: 10, cols: 10, mines: 15});
+        assert.strictEqual(parseBoardSpec("8x8-12.5%").mines, 8);
+    });
+
+    it("rejects unknown and impossible boards", () => {
+        ["huge", "9x9", "9x9-", "x9-10", "9x9-10%%", " 9x9-10"].forEach(spec =>
+            assert.throws(() => parseBoardSpec(spec), /unknown board/, spec));
+        ["0x9-5", "9x9-0", "3x3-9", "9x9-1.5", "9x9-100%", "2x2-1%"].forEach(spec =>
+            assert.throws(() => parseBoardSpec(spec), /must have at least one cell, at least one mine/, spec));
+    });
+});
+
+describe("playGame", () => {
+    it("plays seeded games to the end", () => {
+        let time = 0;
+        const now = () => (time += 5);
+        const results = [1, 2, 3].map(seed =>
+            playGame(BotStrategies.solver, {...BEGINNER, seed, safeArea: true, now}));
+        results.forEach(({won, moves, timeMs}) => {
+            assert.strictEqual(typeof won, "boolean");
+            assert.ok(moves > 0 && moves <= 2 * 81);
+            assert.strictEqual(timeMs, 5);
+        });
+        // the same seed plays the same game
+        assert.deepStrictEqual(
+            playGame(BotStrategies.random, {...BEGINNER, seed: 9, now: () => 0}),
+            playGame(BotStrategies.random, {...BEGINNER, seed: 9, now: () => 0}));
+    });
+
+    it("ends the game unwon when the strategy has no move", () => {
+        assert.deepStrictEqual(playGame(() => undefined, {...BEGINNER, seed: 1, now: () => 0}),
+            {won: false, moves: 0, timeMs: 0});
+    });
+
+    it("rejects moves the bot can not play", () => {
+        const question = () => ({action: GameAction.Question, row: 0, col: 0});
+        assert.throws(() => playGame(question, {...BEGINNER, seed: 1}), /can not play the game action/);
+    });
+});
+
+describe("BotStrategies", () => {
+    it("have no random move once no cell is hidden", () => {
+        // the mine is questioned rather than flagged, so a flag-all game is neither won nor lost. The solver still
+        // knows it is a mine, the strategies that only look at hidden cells have no move
+        const state = MinesweeperState.fromBoard(
+            {rows: 1, cols: 2, mines: [0], states: [CellState.Questioned, CellState.Revealed]});
+        assert.ok(!state.isGameWon() && !state.isGameLost());
+        assert.strictEqual(BotStrategies.random(state, Math.random), undefined);
+        assert.strictEqual(BotStrategies.basic(state, Math.random), undefined);
+        assert.deepStrictEqual(BotStrategies.solver(state, Math.random), {action: GameAction.Flag, row: 0, col: 0});
+        state.free();
+    });
+
+    it("flag the hidden cells once only mines are left", () => {
+        const state = MinesweeperState.fromBoard(
+            {rows: 1, cols: 2, mines: [0], states: [CellState.Hidden, CellState.Revealed]});
+        Object.values(BotStrategies).forEach(strategy => assert.deepStrictEqual(strategy(state, Math.random),
+            {action: GameAction.Flag, row: 0, col: 0}));
+        state.free();
+    });
+});
+
+describe("runBenchmark", () => {
+    it("plays game i of each board with seed + i", () => {
+        const boards = [parseBoardSpec("beginner")];
+        const [result] = runBenchmark({boards, strategy: BotStrategies.basic, games: 3, seed: 4, now: () => 0});
+        assert.strictEqual(result.board, boards[0]);
+        assert.strictEqual(result.games, 3);
+        assert.strictEqual(result.winRate, result.won / 3);
+        const games = [4, 5, 6].map(seed => playGame(BotStrategies.basic, {...boards[0], seed, now: () => 0}));
+        assert.strictEqual(result.won, games.filter(({won}) => won).length);
+        assert.strictEqual(result.averageMoves, games.reduce((sum, {moves}) => sum + moves, 0) / 3);
+    });
+});
+
+describe("formatReport", () => {
+    it("formats one aligned line per board", () => {
+        const report = formatReport([
+            {board: {name: "beginner", rows: 9, cols: 9, mines: 10}, games: 4, won: 3, winRate: 0.75,
+                averageMoves: 20.4, averageTimeMs: 1.5},
+            {board: {name: "30x30-20%", rows: 30, cols: 30, mines: 180}, games: 4, won: 0, winRate: 0,
+                averageMoves: 112, averageTimeMs: 12.25},
+        ]);
+        assert.deepStrictEqual(report.split("\n"), [
+            "board                         games  won  win rate  avg moves  avg ms/game",
+            "beginner (9x9, 10 mines)          4    3     75.0%       20.4         1.50",
+            "30x30-20% (30x30, 180 mines)      4    0      0.0%      112.0        12.25",
+        ]);
+    });
+});
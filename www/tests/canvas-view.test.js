@@ -0,0 +1,146 @@
+import assert from "assert";
+import {afterEach, beforeEach, describe, it} from "node:test";
+import {CellState} from "wasm-minesweeper";
+import {GameController} from "../game-controller";
+import {CanvasView, MAX_HEATMAP_CELLS} from "../canvas-view";
+
+// timers that never fire, the tests don't wait for the game's seconds timer
+const NO_TIMERS = {setInterval: () => 1, clearInterval: () => {}};
+
+/**
+ * a stand-in for a canvas 2D context that remembers the cells coloured by the heatmap, the only fills drawn half
+ * transparent
+ */
+function heatmapContext() {
+    const ctx = {
+        globalAlpha: 1,
+        heatmap: new Map(),
+        fillRect(x, y) {
+            if (this.globalAlpha !== 1) this.heatmap.set(`${(y - 2) / 26},${(x - 2) / 26}`, this.fillStyle);
+        },
+    };
+    return new Proxy(ctx, {get: (target, key) => key in target ? target[key] : () => ({width: 0})});
+}
+
+/**
+ * a stand-in for a canvas element, drawn at one css px per board unit
+ */
+function fakeCanvas() {
+    const ctx = heatmapContext();
+    const canvas = {
+        style: {},
+        title: "",
+        addEventListener: () => {},
+        removeEventListener: () => {},
+        getContext: () => ctx,
+        getBoundingClientRect: () => ({left: 0, top: 0, width: canvas.width, height: canvas.height}),
+    };
+    return canvas;
+}
+
+/**
+ * @returns {object} a mousemove event over the middle of a cell
+ */
+function mouseOver(row, col) {
+    return {clientX: col * 26 + 14, clientY: row * 26 + 14};
+}
+
+describe("CanvasView heatmap", () => {
+    let frames;
+    beforeEach(() => {
+        frames = [];
+        globalThis.window = {
+            devicePixelRatio: 1,
+            addEventListener: () => {},
+            removeEventListener: () => {},
+            requestAnimationFrame: callback => frames.push(callback),
+            cancelAnimationFrame: () => {},
+        };
+        globalThis.Path2D = class { rect() {} };
+    });
+    afterEach(() => {
+        delete globalThis.window;
+        delete globalThis.Path2D;
+    });
+
+    /**
+     * @returns {object} {controller, view, canvas} showing the heatmap of a board
+     */
+    function heatmapView(board) {
+        const controller = new GameController({timers: NO_TIMERS});
+        const canvas = fakeCanvas();
+        const view = new CanvasView(canvas, controller, {cellSize: 25});
+        controller.loadBoard(board);
+        view.setShowHeatmap(true);
+        return {controller, view, canvas};
+    }
+
+    it("colours the hidden cells by their chance of being a mine and shows it as a tooltip", () => {
+        // the flag is taken to be a mine, so the 2 has one mine left, which is one of the two cells next to the 1
+        const {Hidden, Revealed, Flagged} = CellState;
+        const {controller, view, canvas} = heatmapView({rows: 2, cols: 3, mines: [0, 5], states: [
+            Hidden, Hidden, Hidden,
+            Revealed, Revealed, Flagged,
+        ]});
+        const {heatmap} = canvas.getContext('2d');
+        assert.deepStrictEqual([...heatmap.entries()].sort(), [
+            ["0,0", "hsl(60, 90%, 50%)"], ["0,1", "hsl(60, 90%, 50%)"], ["0,2", "hsl(120, 90%, 50%)"],
+        ]);
+
+        view.gridMouseMoveListener(mouseOver(0, 1));
+        assert.strictEqual(canvas.title, "50% chance of a mine");
+        view.gridMouseMoveListener(mouseOver(1, 1));
+        assert.strictEqual(canvas.title, "");
+        view.dispose();
+        controller.dispose();
+    });
+
+    it("redraws the cells whose probability a move changed", () => {
+        const {Hidden, Revealed} = CellState;
+        const {controller, view, canvas} = heatmapView({rows: 2, cols: 4, mines: [0, 7], states: [
+            Hidden, Hidden, Hidden, Hidden,
+            Revealed, Revealed, Hidden, Hidden,
+        ]});
+        const {heatmap} = canvas.getContext('2d');
+        heatmap.clear();
+        // the revealed 1 takes the second mine to the right, so the first one is in the corner. The two cells on the
+        // right still share the second mine and are not drawn again
+        controller.reveal(1, 2);
+        frames.forEach(frame => frame());
+        assert.deepStrictEqual([...heatmap.entries()].sort(), [
+            ["0,0", "hsl(0, 90%, 50%)"], ["0,1", "hsl(120, 90%, 50%)"],
+        ]);
+        view.gridMouseMoveListener(mouseOver(0, 3));
+        assert.strictEqual(canvas.title, "50% chance of a mine");
+        view.dispose();
+        controller.dispose();
+    });
+
+    it("is only computed for boards of up to MAX_HEATMAP_CELLS cells", () => {
+        const {controller, view, canvas} = heatmapView({rows: MAX_HEATMAP_CELLS / 50, cols: 50, mines: [0]});
+        assert.ok(view.canShowHeatmap());
+        assert.ok(view.probabilities);
+
+        controller.loadBoard({rows: MAX_HEATMAP_CELLS / 50 + 1, cols: 50, mines: [0]});
+        assert.ok(!view.canShowHeatmap());
+        assert.strictEqual(view.probabilities, undefined);
+        view.gridMouseMoveListener(mouseOver(0, 0));
+        assert.strictEqual(canvas.title, "");
+        view.dispose();
+        controller.dispose();
+    });
+
+    it("stops colouring the cells once hidden", () => {
+        const {controller, view, canvas} = heatmapView({rows: 2, cols: 2, mines: [0]});
+        view.gridMouseMoveListener(mouseOver(0, 0));
+        assert.strictEqual(canvas.title, "25% chance of a mine");
+        const {heatmap} = canvas.getContext('2d');
+        heatmap.clear();
+        view.setShowHeatmap(false);
+        assert.strictEqual(heatmap.size, 0);
+        assert.strictEqual(canvas.title, "");
+        assert.strictEqual(view.probabilities, undefined);
+        view.dispose();
+        controller.dispose();
+    });
+});
@@ -0,0 +1,43 @@
+import assert from "assert";
+import {describe, it} from "node:test";
+import {fitCellSize} from "../cell-size";
+import {sizeCanvas} from "../canvas-view";
+
+/**
+ * sizes a stand-in canvas like the view does
+ * @returns {object} {width, height} of the canvas, in css px
+ */
+function canvasSize(rows, cols, cellSize) {
+    const canvas = {style: {}, getContext: () => ({setTransform: () => {}})};
+    sizeCanvas(canvas, {num_rows: rows, num_cols: cols}, undefined, {cellSize, pixelRatio: 1});
+    return {width: parseFloat(canvas.style.width), height: parseFloat(canvas.style.height)};
+}
+
+describe("fitCellSize", () => {
+    it("fits a board that fills the area exactly", () => {
+        const {width, height} = canvasSize(16, 30, 25);
+        assert.strictEqual(fitCellSize(16, 30, width, height), 25);
+        assert.strictEqual(fitCellSize(16, 30, width - 1, height), 24);
+        assert.strictEqual(fitCellSize(16, 30, width, height - 1), 24);
+    });
+
+    it("leaves room for the grid lines, which grow with the cells", () => {
+        // the grid lines of a 10x10 board of 40px cells take 17.6px
+        assert.strictEqual(canvasSize(10, 10, 40).width, 417.6);
+        assert.strictEqual(fitCellSize(10, 10, 417, 417), 39);
+
+        [[9, 9], [16, 16], [16, 30], [24, 30]].forEach(([rows, cols]) => {
+            for (let width = 200; width <= 1600; width += 37) {
+                const cellSize = fitCellSize(rows, cols, width, 2000);
+                if (cellSize === 12) continue;
+                assert.ok(canvasSize(rows, cols, cellSize).width <= width, `${rows}x${cols} in ${width}px`);
+                assert.ok(cellSize === 48 || canvasSize(rows, cols, cellSize + 1).width > width);
+            }
+        });
+    });
+
+    it("keeps the cells between the smallest and largest fitted size", () => {
+        assert.strictEqual(fitCellSize(100, 100, 320, 320), 12);
+        assert.strictEqual(fitCellSize(2, 2, 4000, 4000), 48);
+    });
+});
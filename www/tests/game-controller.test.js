@@ -0,0 +1,102 @@
+import assert from "assert";
+import {describe, it} from "node:test";
+import {CellState} from "wasm-minesweeper";
+import {GameController, GameStatus} from "../game-controller";
+
+// timers that never fire, the tests don't wait for the game's seconds timer
+const NO_TIMERS = {setInterval: () => 1, clearInterval: () => {}};
+
+/**
+ * starts a seeded game and reveals its center cell, which the first reveal always makes safe
+ * @returns {object} {controller, events, mines}: the controller, the names of the events it emitted and the 1D
+ *                   indices of the game's mines
+ */
+function startedGame(options = {}) {
+    const controller = new GameController({rows: 9, cols: 9, mines: 10, safeArea: true, timers: NO_TIMERS, ...options});
+    const events = [];
+    ['newGame', 'move', 'gameWon', 'gameLost'].forEach(name => controller.on(name, () => events.push(name)));
+    controller.newGame({seed: 1234});
+    controller.reveal(4, 4);
+    return {controller, events, mines: controller.state.toSnapshot().mines};
+}
+
+const position = (index) => [Math.floor(index / 9), index % 9];
+
+describe("GameController", () => {
+    it("wins a game once every mine is flagged", () => {
+        const {controller, events, mines} = startedGame();
+        assert.strictEqual(controller.status, GameStatus.Playing);
+        mines.forEach(index => controller.toggleFlag(...position(index)));
+        assert.strictEqual(controller.status, GameStatus.Won);
+        assert.ok(controller.isGameOver);
+        assert.strictEqual(events.filter(name => name === 'gameWon').length, 1);
+        assert.ok(!events.includes('gameLost'));
+    });
+
+    it("wins a reveal-all game once every safe cell is revealed", () => {
+        const {controller, mines} = startedGame({rules: "revealAll"});
+        for (let index = 0; index < 81 && !controller.isGameOver; index++) {
+            if (!mines.includes(index)) controller.reveal(...position(index));
+        }
+        assert.strictEqual(controller.status, GameStatus.Won);
+    });
+
+    it("loses a game when a mine is revealed", () => {
+        const {controller, events, mines} = startedGame();
+        controller.reveal(...position(mines[0]));
+        assert.strictEqual(controller.status, GameStatus.Lost);
+        assert.deepStrictEqual(events.slice(-1), ['gameLost']);
+        // moves on a finished game are ignored
+        controller.reveal(...position(mines[1]));
+        assert.strictEqual(events.filter(name => name === 'gameLost').length, 1);
+    });
+
+    it("resumes a lost game when the losing move is undone", () => {
+        const {controller, mines} = startedGame();
+        controller.reveal(...position(mines[0]));
+        controller.undo();
+        assert.strictEqual(controller.status, GameStatus.Playing);
+        assert.ok(controller.state.isHiddenCell(...position(mines[0])));
+    });
+
+    it("starts the game and its timer with the first move that changes a cell", () => {
+        let timers = 0;
+        const controller = new GameController({timers: {setInterval: () => ++timers, clearInterval: () => {}}});
+        controller.newGame({seed: 1234});
+        // chording a hidden cell does nothing
+        controller.chord(4, 4);
+        assert.strictEqual(controller.status, GameStatus.Ready);
+        assert.strictEqual(timers, 0);
+        assert.ok(!controller.canUndo);
+
+        controller.toggleFlag(4, 4);
+        assert.strictEqual(controller.status, GameStatus.Playing);
+        assert.strictEqual(timers, 1);
+        controller.dispose();
+    });
+
+    it("keeps the timer of a loaded board stopped until a move changes a cell", () => {
+        let timers = 0;
+        const controller = new GameController({timers: {setInterval: () => ++timers, clearInterval: () => {}}});
+        controller.loadBoard({rows: 2, cols: 2, mines: [0], states: [
+            CellState.Hidden, CellState.Hidden,
+            CellState.Revealed, CellState.Revealed,
+        ]});
+        assert.strictEqual(controller.status, GameStatus.Playing);
+        controller.toggleFlag(1, 1);
+        assert.strictEqual(timers, 0);
+        controller.toggleFlag(0, 0);
+        assert.strictEqual(timers, 1);
+        controller.dispose();
+    });
+
+    it("frees the state of the previous game", () => {
+        const {controller} = startedGame();
+        const previous = controller.state;
+        controller.newGame();
+        assert.strictEqual(previous.minesweeper, undefined);
+        assert.notStrictEqual(controller.state, previous);
+        controller.dispose();
+        assert.strictEqual(controller.state, undefined);
+    });
+});
@@ -0,0 +1,130 @@
+import assert from "assert";
+import {afterEach, beforeEach, describe, it} from "node:test";
+import {CellState} from "wasm-minesweeper";
+import {GameController, GameStatus} from "../game-controller";
+import {
+    clearAutosave, deleteSlot, listSlots, loadAutosave, loadSlot, saveAutosave, saveSlot
+} from "../game-storage";
+
+// timers that never fire, the tests don't wait for the game's seconds timer
+const NO_TIMERS = {setInterval: () => 1, clearInterval: () => {}};
+
+/**
+ * @returns {object} an in-memory stand-in for window.localStorage
+ */
+function memoryStorage() {
+    const items = new Map();
+    return {
+        items,
+        getItem: key => items.has(key) ? items.get(key) : null,
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: key => items.delete(key),
+    };
+}
+
+/**
+ * @returns {GameController} a controller whose seeded game has had a few moves, with its clock at 2.5s
+ */
+function playedController() {
+    let time = 0;
+    const controller = new GameController({
+        rows: 9, cols: 9, mines: 10, safeArea: true, timers: NO_TIMERS, now: () => time
+    });
+    controller.newGame({seed: 1234});
+    controller.reveal(4, 4);
+    const hidden = Array.from(controller.state.cellStates()).indexOf(CellState.Hidden);
+    controller.toggleFlag(Math.floor(hidden / 9), hidden % 9);
+    time = 2500;
+    return controller;
+}
+
+describe("game storage", () => {
+    let storage;
+    beforeEach(() => {
+        storage = memoryStorage();
+        globalThis.window = {localStorage: storage};
+    });
+    afterEach(() => {
+        delete globalThis.window;
+    });
+
+    it("resumes an autosaved game where it was left", () => {
+        const controller = playedController();
+        saveAutosave("board-1", controller.saveData());
+
+        const resumed = new GameController({timers: NO_TIMERS});
+        resumed.resume(loadAutosave("board-1"));
+        assert.deepStrictEqual(Array.from(resumed.state.cellStates()), Array.from(controller.state.cellStates()));
+        assert.deepStrictEqual(resumed.state.toSnapshot(), controller.state.toSnapshot());
+        assert.deepStrictEqual(resumed.settings, controller.settings);
+        assert.strictEqual(resumed.status, GameStatus.Playing);
+        assert.strictEqual(resumed.elapsedMs, 2500);
+        assert.strictEqual(resumed.elapsedTime, 2);
+        // the timer waits for the next move
+        assert.strictEqual(resumed.timer, undefined);
+        controller.dispose();
+        resumed.dispose();
+    });
+
+    it("keeps the autosave of each board apart", () => {
+        const controller = playedController();
+        saveAutosave("board-1", controller.saveData());
+        assert.strictEqual(loadAutosave("board-2"), undefined);
+        clearAutosave("board-1");
+        assert.strictEqual(loadAutosave("board-1"), undefined);
+        assert.strictEqual(storage.items.size, 0);
+        controller.dispose();
+    });
+
+    it("saves, lists, loads and deletes named slots", () => {
+        const controller = playedController();
+        const data = controller.saveData();
+        saveSlot("second", data);
+        saveSlot("first", {...data, hintsUsed: 3});
+        assert.deepStrictEqual(listSlots().map(({name}) => name), ["first", "second"]);
+        listSlots().forEach(({savedAt}) => assert.strictEqual(typeof savedAt, "number"));
+        assert.deepStrictEqual(loadSlot("second"), JSON.parse(JSON.stringify(data)));
+        assert.strictEqual(loadSlot("first").hintsUsed, 3);
+        assert.strictEqual(loadSlot("third"), undefined);
+
+        deleteSlot("first");
+        assert.deepStrictEqual(listSlots().map(({name}) => name), ["second"]);
+        controller.dispose();
+    });
+
+    it("treats a value it can not parse as no saved game", () => {
+        storage.setItem("minesweeper.autosave.board-1", "{not json");
+        const error = console.error;
+        console.error = () => {};
+        try {
+            assert.strictEqual(loadAutosave("board-1"), undefined);
+        } finally {
+            console.error = error;
+        }
+    });
+});
+
+describe("GameController.resume", () => {
+    it("rejects saved games of other versions", () => {
+        const controller = playedController();
+        const data = controller.saveData();
+        const resumed = new GameController({timers: NO_TIMERS});
+        assert.throws(() => resumed.resume({...data, version: data.version + 1}),
+            /unsupported saved game version: 2/);
+        assert.throws(() => resumed.resume({...data, version: undefined}), /unsupported saved game version/);
+        assert.throws(() => resumed.resume(undefined), /unsupported saved game version/);
+        assert.strictEqual(resumed.state, undefined);
+        controller.dispose();
+        resumed.dispose();
+    });
+
+    it("resumes the seconds of a game saved before the ms were saved", () => {
+        const controller = playedController();
+        const {elapsedMs, ...data} = controller.saveData();
+        assert.strictEqual(elapsedMs, 2500);
+        controller.resume({...data, elapsedTime: 2});
+        assert.strictEqual(controller.elapsedMs, 2000);
+        assert.strictEqual(controller.elapsedTime, 2);
+        controller.dispose();
+    });
+});
@@ -0,0 +1,17 @@
+/**
+ * The JavaScript tests. They run in Node with its built-in test runner, `npm test` builds them with webpack (so that
+ * they can import the wasm package like the game does) and runs them. Every test file is imported here.
+ */
+
+import "./board-format.test";
+import "./bot.test";
+import "./canvas-view.test";
+import "./cell-size.test";
+import "./game-controller.test";
+import "./game-storage.test";
+import "./minesweeper-state.test";
+import "./move-history.test";
+import "./no-guess.test";
+import "./replay.test";
+import "./solver.test";
+import "./statistics.test";
@@ -0,0 +1,123 @@
+import assert from "assert";
+import {describe, it} from "node:test";
+import {CellKind, CellState} from "wasm-minesweeper";
+import {memory} from "wasm-minesweeper/wasm_minesweeper_bg";
+import {MinesweeperState} from "../minesweeper-state";
+
+/**
+ * @returns {MinesweeperState} a seeded 9x9 grid with 10 mines
+ */
+function seededState() {
+    return new MinesweeperState(9, 9, {mines: 10, safeArea: true, seed: 1234});
+}
+
+describe("MinesweeperState", () => {
+    it("reads the cells from the new memory after the wasm memory grows", () => {
+        const state = seededState();
+        state.revealCell(4, 4);
+        const before = Array.from(state.cellStates());
+        const stale = state.cells;
+        memory.grow(1);
+        assert.notStrictEqual(stale.buffer, memory.buffer);
+        assert.strictEqual(state.cells.buffer, memory.buffer);
+        assert.deepStrictEqual(Array.from(state.cellStates()), before);
+
+        // moves made after the growth are read back too
+        const hidden = before.indexOf(CellState.Hidden);
+        const [row, col] = [Math.floor(hidden / 9), hidden % 9];
+        state.toggleFlag(row, col);
+        assert.strictEqual(state.getCell(row, col).state, CellState.Flagged);
+        state.free();
+    });
+
+    it("throws on cells outside the grid", () => {
+        const state = seededState();
+        assert.throws(() => state.to_1d(-1, 0), /outside the 9x9 grid/);
+        assert.throws(() => state.to_1d(9, 0), /outside the 9x9 grid/);
+        assert.throws(() => state.to_1d(0, 9), /outside the 9x9 grid/);
+        assert.throws(() => state.to_1d(1.5, 0), /outside the 9x9 grid/);
+        assert.throws(() => state.getCell(0, -1), /outside the 9x9 grid/);
+        assert.strictEqual(state.to_1d(8, 8), 80);
+        assert.throws(() => state.checkIndex(81), /outside the 9x9 grid/);
+        assert.throws(() => state.checkIndex(-1), /outside the 9x9 grid/);
+        assert.throws(() => state.setCellState(81, CellState.Revealed), /outside the 9x9 grid/);
+        assert.strictEqual(state.checkIndex(0), 0);
+        state.free();
+    });
+
+    it("returns a frozen copy of a cell that keeps its values after the cell changes", () => {
+        const state = seededState();
+        const [mine] = state.toSnapshot().mines;
+        const [row, col] = [Math.floor(mine / 9), mine % 9];
+        const cell = state.getCell(row, col);
+        assert.ok(Object.isFrozen(cell));
+        assert.deepStrictEqual({...cell}, {state: CellState.Hidden, kind: CellKind.Mine, adjMines: cell.adjMines});
+        assert.throws(() => { cell.state = CellState.Revealed; }, TypeError);
+
+        state.toggleFlag(row, col);
+        assert.strictEqual(cell.state, CellState.Hidden);
+        assert.strictEqual(state.getCell(row, col).state, CellState.Flagged);
+        state.free();
+    });
+
+    it("compares the grid around moves only while something listens", () => {
+        const state = seededState();
+        let diffs = 0;
+        const cellStates = state.cellStates;
+        state.cellStates = function () {
+            diffs++;
+            return cellStates.call(this);
+        };
+        const revealed = [];
+        const unsubscribers = [
+            state.on('cellRevealed', event => revealed.push(event)),
+            state.on('flagChanged', () => {}),
+        ];
+        state.revealCell(4, 4);
+        assert.strictEqual(diffs, 2);
+        assert.strictEqual(revealed.length, 1);
+
+        unsubscribers.forEach(unsubscribe => unsubscribe());
+        assert.strictEqual(state.listeners.size, 0);
+        diffs = 0;
+        state.toggleFlag(0, 0);
+        state.revealCell(8, 8);
+        assert.strictEqual(diffs, 0);
+        assert.strictEqual(revealed.length, 1);
+        state.free();
+    });
+
+    it("logs the mine layout only when asked to", () => {
+        const logged = [];
+        const log = console.log;
+        console.log = (...args) => logged.push(args);
+        try {
+            const state = seededState();
+            MinesweeperState.fromSnapshot(state.toSnapshot()).free();
+            MinesweeperState.fromBoard({rows: 3, cols: 3, mines: [0]}).free();
+            assert.strictEqual(logged.length, 0);
+            MinesweeperState.fromSnapshot(state.toSnapshot(), {logMines: true}).free();
+            assert.strictEqual(logged.length, 1);
+            state.free();
+        } finally {
+            console.log = log;
+        }
+    });
+
+    it("tells a game lost by a wrong flag from one lost by revealing a mine", () => {
+        const flagged = new MinesweeperState(3, 3, {mineIndices: [0], rules: "strict"});
+        flagged.toggleFlag(1, 1);
+        assert.ok(flagged.isGameLost());
+        assert.ok(!flagged.isMineRevealed());
+        flagged.free();
+
+        // the first reveal is always safe, so the mine is revealed by the second one
+        const revealed = new MinesweeperState(3, 3, {mineIndices: [0, 2], rules: "strict"});
+        revealed.revealCell(2, 2);
+        assert.ok(!revealed.isGameLost());
+        revealed.revealCell(0, 0);
+        assert.ok(revealed.isGameLost());
+        assert.ok(revealed.isMineRevealed());
+        revealed.free();
+    });
+});
@@ -0,0 +1,103 @@
+import assert from "assert";
+import {describe, it} from "node:test";
+import {CellState} from "wasm-minesweeper";
+import {MoveHistory} from "../move-history";
+import {GameAction, GameController} from "../game-controller";
+
+const {Hidden, Revealed, Flagged} = CellState;
+
+// timers that never fire, the tests don't wait for the game's seconds timer
+const NO_TIMERS = {setInterval: () => 1, clearInterval: () => {}};
+
+/**
+ * a stand-in for a MinesweeperState that only holds cell states
+ */
+function cellGrid(states) {
+    return {states: [...states], setCellState(index, state) { this.states[index] = state; }};
+}
+
+describe("MoveHistory", () => {
+    it("records the cells a move changed", () => {
+        const history = new MoveHistory();
+        const changes = history.record({action: GameAction.Reveal, row: 0, col: 1},
+            [Hidden, Hidden, Hidden], [Hidden, Revealed, Revealed]);
+        assert.deepStrictEqual(changes, [{index: 1, before: Hidden, after: Revealed},
+            {index: 2, before: Hidden, after: Revealed}]);
+        assert.ok(history.canUndo);
+        assert.ok(!history.canRedo);
+    });
+
+    it("does not record a move that changed nothing", () => {
+        const history = new MoveHistory();
+        assert.deepStrictEqual(history.record({action: GameAction.Flag, row: 0, col: 0}, [Revealed], [Revealed]), []);
+        assert.ok(!history.canUndo);
+    });
+
+    it("undoes and redoes moves in order", () => {
+        const history = new MoveHistory();
+        const grid = cellGrid([Hidden, Hidden]);
+        history.record({action: GameAction.Reveal, row: 0, col: 0}, [Hidden, Hidden], [Revealed, Hidden]);
+        history.record({action: GameAction.Flag, row: 0, col: 1}, [Revealed, Hidden], [Revealed, Flagged]);
+        grid.states = [Revealed, Flagged];
+
+        assert.strictEqual(history.undo(grid).action, GameAction.Flag);
+        assert.deepStrictEqual(grid.states, [Revealed, Hidden]);
+        assert.strictEqual(history.undo(grid).action, GameAction.Reveal);
+        assert.deepStrictEqual(grid.states, [Hidden, Hidden]);
+        assert.strictEqual(history.undo(grid), undefined);
+
+        assert.strictEqual(history.redo(grid).action, GameAction.Reveal);
+        assert.deepStrictEqual(grid.states, [Revealed, Hidden]);
+        assert.ok(history.canUndo && history.canRedo);
+    });
+
+    it("forgets the undone moves when a new move is recorded", () => {
+        const history = new MoveHistory();
+        const grid = cellGrid([Revealed, Flagged]);
+        history.record({action: GameAction.Flag, row: 0, col: 1}, [Revealed, Hidden], [Revealed, Flagged]);
+        history.undo(grid);
+        history.record({action: GameAction.Question, row: 0, col: 1}, [Revealed, Hidden], [Revealed, 2]);
+        assert.ok(!history.canRedo);
+        assert.strictEqual(history.redo(grid), undefined);
+    });
+});
+
+describe("GameController undo and redo", () => {
+    it("restores the cells and flag counter of undone and redone moves", () => {
+        const controller = new GameController({rows: 9, cols: 9, mines: 10, safeArea: true, timers: NO_TIMERS});
+        const history = [];
+        controller.on('historyChange', change => history.push(change));
+        controller.newGame({seed: 1234});
+        controller.reveal(4, 4);
+        const afterReveal = Array.from(controller.state.cellStates());
+        const hidden = afterReveal.indexOf(Hidden);
+        const [row, col] = [Math.floor(hidden / 9), hidden % 9];
+        controller.toggleFlag(row, col);
+        assert.strictEqual(controller.state.remainingFlags(), 9);
+
+        controller.undo();
+        assert.deepStrictEqual(Array.from(controller.state.cellStates()), afterReveal);
+        assert.strictEqual(controller.state.remainingFlags(), 10);
+        controller.redo();
+        assert.ok(controller.state.isFlaggedCell(row, col));
+        assert.strictEqual(controller.state.remainingFlags(), 9);
+        assert.deepStrictEqual(history.slice(-2), [{canUndo: true, canRedo: true}, {canUndo: true, canRedo: false}]);
+
+        controller.undo();
+        controller.undo();
+        assert.ok(controller.state.cellStates().every(state => state === Hidden));
+        assert.ok(!controller.canUndo);
+        controller.dispose();
+    });
+
+    it("starts every game without history", () => {
+        const controller = new GameController({timers: NO_TIMERS});
+        controller.newGame({seed: 1});
+        controller.reveal(0, 0);
+        controller.undo();
+        assert.ok(controller.canRedo);
+        controller.newGame({seed: 2});
+        assert.ok(!controller.canUndo && !controller.canRedo);
+        controller.dispose();
+    });
+});
@@ -0,0 +1,61 @@
+import assert from "assert";
+import {describe, it} from "node:test";
+import {Minesweeper} from "wasm-minesweeper";
+import {MinesweeperState} from "../minesweeper-state";
+import {HintKind, findHint} from "../solver";
+import {MAX_ATTEMPTS, generateNoGuessMines, isSolvableByLogic} from "../no-guess";
+
+// a clock that never advances, so that generation is only limited by its attempts
+const FROZEN_CLOCK = () => 0;
+
+/**
+ * @returns {Array} the mines of the board a seed produces with the safe area option, no-guess generation's fallback
+ */
+function safeAreaMines(rows, cols, mines, seed, start) {
+    const minesweeper = Minesweeper.init(rows, cols, mines, seed);
+    minesweeper.make_safe_start(start, true);
+    const indices = Array.from(minesweeper.mines());
+    minesweeper.free();
+    return indices;
+}
+
+describe("no-guess generation", () => {
+    it("generates a board that the hints solve from the first click without guessing", () => {
+        const state = new MinesweeperState(9, 9, {mines: 10, seed: 42, noGuess: true, rules: "revealAll"});
+        state.revealCell(4, 4);
+        assert.ok(state.noGuessResult.solvable);
+        assert.ok(isSolvableByLogic(9, 9, state.noGuessResult.mines, state.to_1d(4, 4)));
+
+        for (let moves = 0; !state.isGameWon() && moves < 81; moves++) {
+            const hint = findHint(state);
+            assert.ok(hint.kind === HintKind.Safe || hint.kind === HintKind.Mine, `hint ${hint.kind}: ${hint.reason}`);
+            if (hint.kind === HintKind.Safe) {
+                state.revealCell(hint.row, hint.col);
+            } else {
+                state.toggleFlag(hint.row, hint.col);
+            }
+            assert.ok(!state.isGameLost());
+        }
+        assert.ok(state.isGameWon());
+        state.free();
+    });
+
+    it("generates the same board from the same seed and first cell", () => {
+        const options = {rows: 9, cols: 9, mines: 10, seed: 7, start: 40, now: FROZEN_CLOCK};
+        assert.deepStrictEqual(generateNoGuessMines(options), generateNoGuessMines(options));
+    });
+
+    it("falls back to the safe area board when the time budget runs out", () => {
+        let time = 0;
+        const result = generateNoGuessMines({
+            rows: 9, cols: 9, mines: 30, seed: 3, start: 40, budgetMs: 50, now: () => (time += 100)
+        });
+        assert.deepStrictEqual(result, {mines: safeAreaMines(9, 9, 30, 3, 40), attempts: 1, solvable: false});
+    });
+
+    it("falls back to the safe area board when every attempt needs a guess", () => {
+        // the first cell and its neighbours are the whole grid, so no candidate can be solved without a guess
+        const result = generateNoGuessMines({rows: 2, cols: 2, mines: 2, seed: 5, start: 0, now: FROZEN_CLOCK});
+        assert.deepStrictEqual(result, {mines: safeAreaMines(2, 2, 2, 5, 0), attempts: MAX_ATTEMPTS, solvable: false});
+    });
+});
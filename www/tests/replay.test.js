@@ -0,0 +1,56 @@
+import assert from "assert";
+import {describe, it} from "node:test";
+import {CellState} from "wasm-minesweeper";
+import {GameController} from "../game-controller";
+import {ReplayRecorder, ReplayPlayer, parseRecording} from "../replay";
+
+const NO_TIMERS = {setInterval: () => 1, clearInterval: () => {}};
+
+/**
+ * records a short game on a 9x9 board: a reveal of its center, then a flag on its first hidden cell. The actions are
+ * recorded 100 ms apart
+ * @returns {string} the recording, as JSON
+ */
+function recordedGame() {
+    const controller = new GameController({rows: 9, cols: 9, mines: 10, timers: NO_TIMERS});
+    let time = 0;
+    const recorder = new ReplayRecorder(controller, {now: () => (time += 100)});
+    controller.newGame({seed: 42});
+    controller.reveal(4, 4);
+    const hidden = controller.state.cellStates().findIndex(state => state === CellState.Hidden);
+    controller.toggleFlag(Math.floor(hidden / 9), hidden % 9);
+    const json = JSON.stringify(recorder.recording);
+    controller.dispose();
+    return json;
+}
+
+describe("parseRecording", () => {
+    it("reads a recorded game", () => {
+        const recording = parseRecording(recordedGame());
+        assert.deepStrictEqual(recording.actions.map(({action}) => action), ['reveal', 'flag']);
+        assert.deepStrictEqual(recording.actions.map(({time}) => time), [100, 200]);
+    });
+
+    it("rejects actions on cells outside the board", () => {
+        const recording = JSON.parse(recordedGame());
+        recording.actions[1].row = 9;
+        assert.throws(() => parseRecording(JSON.stringify(recording)), /invalid actions/);
+        recording.actions[1].row = undefined;
+        assert.throws(() => parseRecording(JSON.stringify(recording)), /invalid actions/);
+    });
+});
+
+describe("ReplayPlayer", () => {
+    it("frees the replayed game's state when it rewinds", () => {
+        const recording = parseRecording(recordedGame());
+        const {row, col} = recording.actions[1];
+        const player = new ReplayPlayer(recording, {timers: NO_TIMERS});
+        player.seek(player.duration);
+        const state = player.state;
+        assert.ok(state.isFlaggedCell(row, col));
+        player.seek(0);
+        assert.strictEqual(state.minesweeper, undefined);
+        assert.ok(!player.state.isFlaggedCell(row, col));
+        player.dispose();
+    });
+});
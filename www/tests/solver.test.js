@@ -0,0 +1,194 @@
+import assert from "assert";
+import {describe, it} from "node:test";
+import {CellState} from "wasm-minesweeper";
+import {MinesweeperState} from "../minesweeper-state";
+import {GameController} from "../game-controller";
+import {HintKind, analyze, findHint, mineProbabilities} from "../solver";
+
+// timers that never fire, the tests don't wait for the game's seconds timer
+const NO_TIMERS = {setInterval: () => 1, clearInterval: () => {}};
+
+// the cell each character of a picture stands for: its CellState and whether it is mined
+const PICTURE_CELLS = {
+    ".": {state: CellState.Hidden, mine: false},
+    "*": {state: CellState.Hidden, mine: true},
+    "o": {state: CellState.Revealed, mine: false},
+    "f": {state: CellState.Flagged, mine: false},
+    "F": {state: CellState.Flagged, mine: true},
+};
+
+/**
+ * describes a board by a picture of its rows, i.e. ["*.", "oo"] is a 2x2 board with a hidden mine in its top left
+ * corner, a hidden safe cell next to it and a revealed bottom row
+ * @returns {object} the portable board {rows, cols, mines, states}, see board-format.js
+ */
+function pictureBoard(picture) {
+    const cells = picture.join("").split("").map(char => PICTURE_CELLS[char]);
+    return {
+        rows: picture.length,
+        cols: picture[0].length,
+        mines: cells.flatMap(({mine}, index) => mine ? [index] : []),
+        states: cells.map(({state}) => state),
+    };
+}
+
+const pictureState = (picture) => MinesweeperState.fromBoard(pictureBoard(picture));
+
+describe("analyze", () => {
+    it("finds the safe cells around a number whose mines are all found", () => {
+        // the 0 in the top right corner has no mines around it, which leaves the mine next to the 1s
+        const state = pictureState([
+            "*.o",
+            "oo.",
+        ]);
+        const {safe, mines} = analyze(state);
+        assert.deepStrictEqual([...safe.keys()].sort(), [1, 5]);
+        assert.match(safe.get(1), /the 0 at row 1 column 3 has no mines around it/);
+        assert.deepStrictEqual([...mines.keys()], [0]);
+        assert.match(mines.get(0), /needs 1 more mine and has exactly 1 hidden neighbour left, so it is a mine/);
+        state.free();
+    });
+
+    it("finds the safe cells of a number whose hidden neighbours contain those of another", () => {
+        // both 1s share the two cells above them, so the other neighbours of the middle 1 are safe
+        const state = pictureState([
+            "*..",
+            "oo.",
+        ]);
+        const {safe, mines} = analyze(state);
+        assert.deepStrictEqual([...safe.keys()].sort(), [2, 5]);
+        assert.match(safe.get(2), /every hidden neighbour of the 1 at row 2 column 1 is also next to the 1 at row 2/);
+        assert.strictEqual(mines.size, 0);
+        state.free();
+    });
+
+    it("finds the mines of a number whose hidden neighbours contain those of another", () => {
+        // the 2 needs one more mine than the 1s it shares cells with
+        const state = pictureState([
+            "*.*",
+            "ooo",
+        ]);
+        const {safe, mines} = analyze(state);
+        assert.deepStrictEqual([...mines.keys()].sort(), [0, 2]);
+        assert.match(mines.get(0), /hold 1 mine and there are exactly that many of them/);
+        assert.deepStrictEqual([...safe.keys()], [1]);
+        state.free();
+    });
+
+    it("trusts flags only when asked to", () => {
+        const state = pictureState([
+            "F.",
+            "oo",
+        ]);
+        assert.strictEqual(analyze(state).safe.size, 0);
+        assert.deepStrictEqual([...analyze(state, {trustFlags: true}).safe.keys()], [1]);
+        state.free();
+    });
+});
+
+describe("mineProbabilities", () => {
+    it("splits the mine evenly between cells no number tells apart", () => {
+        const state = pictureState([
+            "*.",
+            "oo",
+        ]);
+        const probabilities = mineProbabilities(state);
+        assert.deepStrictEqual(Array.from(probabilities.slice(0, 2)), [0.5, 0.5]);
+        assert.ok(probabilities.slice(2).every(Number.isNaN));
+        state.free();
+    });
+
+    it("counts the mines left for the cells away from the numbers", () => {
+        // the only mine is next to the 1, so the cells away from it are safe
+        const state = pictureState([
+            "*....",
+            "o....",
+        ]);
+        const probabilities = mineProbabilities(state);
+        [0, 1, 6].forEach(index => assert.ok(Math.abs(probabilities[index] - 1 / 3) < 1e-12));
+        [2, 3, 4, 7, 8, 9].forEach(index => assert.strictEqual(probabilities[index], 0));
+        state.free();
+    });
+});
+
+describe("findHint", () => {
+    it("suggests a safe cell before a mine", () => {
+        const state = pictureState([
+            "*.*",
+            "ooo",
+        ]);
+        const safe = findHint(state);
+        assert.deepStrictEqual([safe.row, safe.col, safe.kind, safe.probability], [0, 1, HintKind.Safe, 0]);
+        state.toggleFlag(0, 0);
+        state.revealCell(0, 1);
+        const mine = findHint(state);
+        assert.deepStrictEqual([mine.row, mine.col, mine.kind, mine.probability], [0, 2, HintKind.Mine, 1]);
+        state.free();
+    });
+
+    it("suggests removing a flag from a safe cell", () => {
+        const state = pictureState([
+            "*fo",
+            "ooo",
+        ]);
+        const hint = findHint(state);
+        assert.deepStrictEqual([hint.row, hint.col, hint.kind], [0, 1, HintKind.WrongFlag]);
+        state.free();
+    });
+
+    it("finds safe cells by enumerating the arrangements of mines when no rule applies", () => {
+        const state = pictureState([
+            "*....",
+            "o....",
+        ]);
+        assert.strictEqual(analyze(state).safe.size, 0);
+        const hint = findHint(state);
+        assert.strictEqual(hint.kind, HintKind.Safe);
+        assert.ok(![0, 1, 6].includes(state.to_1d(hint.row, hint.col)));
+        assert.match(hint.reason, /every arrangement of mines that fits the revealed numbers leaves this cell empty/);
+        state.free();
+    });
+
+    it("guesses when no cell is certain", () => {
+        const state = pictureState([
+            "*.",
+            "oo",
+        ]);
+        const hint = findHint(state);
+        assert.strictEqual(hint.kind, HintKind.Guess);
+        assert.strictEqual(hint.probability, 0.5);
+        assert.match(hint.reason, /lowest chance of being a mine \(50%\)/);
+        state.free();
+    });
+});
+
+describe("GameController.hint", () => {
+    it("counts the hints it gives", () => {
+        const controller = new GameController({timers: NO_TIMERS});
+        const hints = [];
+        controller.on('hint', ({hint, hintsUsed}) => hints.push([hint.kind, hintsUsed]));
+        controller.loadBoard(pictureBoard([
+            "*.*",
+            "ooo",
+        ]));
+        assert.strictEqual(controller.hintsUsed, 0);
+        controller.hint();
+        controller.hint();
+        assert.deepStrictEqual(hints, [[HintKind.Safe, 1], [HintKind.Safe, 2]]);
+        assert.strictEqual(controller.hintsUsed, 2);
+        controller.dispose();
+    });
+
+    it("gives and counts no hint once the game is over", () => {
+        const controller = new GameController({timers: NO_TIMERS});
+        controller.loadBoard(pictureBoard([
+            "*.*",
+            "ooo",
+        ]));
+        controller.reveal(0, 0);
+        assert.ok(controller.isGameOver);
+        assert.strictEqual(controller.hint(), undefined);
+        assert.strictEqual(controller.hintsUsed, 0);
+        controller.dispose();
+    });
+});
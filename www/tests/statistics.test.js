@@ -0,0 +1,107 @@
+import assert from "assert";
+import {afterEach, beforeEach, describe, it} from "node:test";
+import {
+    categoryKey, categoryLabel, emptyCategory, formatTime, loadStatistics, recordGame, resetStatistics,
+    winTimeDistribution
+} from "../statistics";
+
+/**
+ * @returns {object} an in-memory stand-in for window.localStorage
+ */
+function memoryStorage() {
+    const items = new Map();
+    return {
+        items,
+        getItem: key => items.has(key) ? items.get(key) : null,
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: key => items.delete(key),
+    };
+}
+
+describe("categoryKey", () => {
+    it("files preset games under their difficulty and custom games under their size and mines", () => {
+        assert.strictEqual(categoryKey(16, 30, 99), "expert");
+        assert.strictEqual(categoryKey(16, 30, 98), "16x30-98");
+        assert.strictEqual(categoryLabel("expert"), "Expert");
+        assert.strictEqual(categoryLabel("16x30-98"), "16x30, 98 mines");
+    });
+});
+
+describe("recordGame", () => {
+    let storage;
+    beforeEach(() => {
+        storage = memoryStorage();
+        globalThis.window = {localStorage: storage};
+    });
+    afterEach(() => {
+        delete globalThis.window;
+    });
+
+    it("counts wins, losses and streaks", () => {
+        [true, true, false, true].forEach((won, i) => recordGame("beginner", {won, elapsedMs: 1000 * (i + 1)}));
+        const {beginner} = loadStatistics();
+        assert.deepStrictEqual(beginner, {
+            ...emptyCategory(),
+            played: 4, won: 3, lost: 1, currentStreak: 1, bestStreak: 2, bestTimeMs: 1000,
+            winTimesMs: [1000, 2000, 4000],
+        });
+    });
+
+    it("keeps the best time of the wins without hints", () => {
+        assert.strictEqual(recordGame("expert", {won: true, elapsedMs: 90000}).isBestTime, true);
+        assert.strictEqual(recordGame("expert", {won: true, elapsedMs: 95000}).isBestTime, false);
+        assert.strictEqual(recordGame("expert", {won: false, elapsedMs: 1000}).isBestTime, false);
+
+        const hinted = recordGame("expert", {won: true, elapsedMs: 60000, hintsUsed: 2});
+        assert.strictEqual(hinted.isBestTime, false);
+        assert.strictEqual(hinted.bestTimeMs, 90000);
+        assert.deepStrictEqual([hinted.hintsUsed, hinted.gamesWithHints], [2, 1]);
+        // the win still counts towards the streaks and the win times
+        assert.deepStrictEqual([hinted.currentStreak, hinted.winTimesMs], [1, [90000, 95000, 60000]]);
+
+        assert.strictEqual(recordGame("expert", {won: true, elapsedMs: 80000}).isBestTime, true);
+        assert.strictEqual(loadStatistics().expert.bestTimeMs, 80000);
+    });
+
+    it("keeps the categories apart", () => {
+        recordGame("beginner", {won: true, elapsedMs: 1000});
+        recordGame("9x9-11", {won: false, elapsedMs: 1000});
+        const statistics = loadStatistics();
+        assert.deepStrictEqual(Object.keys(statistics).sort(), ["9x9-11", "beginner"]);
+        assert.deepStrictEqual([statistics.beginner.won, statistics["9x9-11"].lost], [1, 1]);
+    });
+
+    it("keeps the 500 most recent win times", () => {
+        for (let i = 0; i < 502; i++) recordGame("beginner", {won: true, elapsedMs: i});
+        const {winTimesMs, bestTimeMs} = loadStatistics().beginner;
+        assert.strictEqual(winTimesMs.length, 500);
+        assert.deepStrictEqual([winTimesMs[0], winTimesMs[499], bestTimeMs], [2, 501, 0]);
+    });
+
+    it("starts over once reset", () => {
+        recordGame("beginner", {won: true, elapsedMs: 1000});
+        resetStatistics();
+        assert.deepStrictEqual(loadStatistics(), {});
+        assert.strictEqual(recordGame("beginner", {won: false, elapsedMs: 1000}).played, 1);
+    });
+});
+
+describe("winTimeDistribution", () => {
+    it("groups the win times into equally wide buckets up to the slowest time", () => {
+        assert.deepStrictEqual(winTimeDistribution([]), []);
+        assert.deepStrictEqual(winTimeDistribution([1000, 1500, 1999, 5000], 4), [
+            {fromMs: 1000, toMs: 2001, count: 3},
+            {fromMs: 2001, toMs: 3002, count: 0},
+            {fromMs: 3002, toMs: 4003, count: 0},
+            {fromMs: 4003, toMs: 5004, count: 1},
+        ]);
+        assert.deepStrictEqual(winTimeDistribution([7000, 7000]), [{fromMs: 7000, toMs: 7001, count: 2}]);
+    });
+});
+
+describe("formatTime", () => {
+    it("formats times to the ms", () => {
+        assert.strictEqual(formatTime(83042), "83.042s");
+        assert.strictEqual(formatTime(undefined), "-");
+    });
+});
@@ -0,0 +1,111 @@
+/**
+ * Board themes. A theme describes everything the canvas renderer draws with:
+ *      palette       - colours of the grid lines, the hidden and revealed cells, the bevel, the marks shown when a game
+ *                      ends, the keyboard cursor and the hint outlines
+ *      numberColors  - colour of each adjacent mine count, indexed by the count (0 is never drawn)
+ *      glyphs        - what is drawn for a mine, a flag and a question mark: a text glyph, or {src} of a sprite image
+ *                      that is drawn scaled to the cell
+ *      font          - canvas font of the numbers and text glyphs
+ *      bevel         - "raised" draws hidden cells with a 3D highlight and shade, "flat" draws them as plain squares
+ * The selected theme is shared by all boards on the page and persisted in localStorage.
+ */
+
+const STORAGE_KEY = "minesweeper.theme";
+
+// key of the theme used when none was selected
+const DEFAULT_THEME = "classic";
+
+const MINE_GLYPH = '\uD83D\uDCA3';        // bomb
+const FLAG_GLYPH = '\uD83D\uDEA9';        // triangular flag
+
+/**
+ * the built-in themes
+ */
+const THEMES = Object.freeze({
+    classic: Object.freeze({
+        name: "Classic",
+        palette: {
+            grid: "#CCCCCC", hiddenCell: "#C0C0C0", revealedCell: "#C0C0C0", highlight: "#FFFFFF", shade: "#7B7B7B",
+            text: "#000000", correctMark: "#01c00d", wrongMark: "#fc000c", cursor: "#0060DF",
+            hintSafe: "#01a00b", hintMine: "#fc000c", hintGuess: "#ff8c00",
+        },
+        numberColors: ['', '#0000FA', '#4B802D', '#DB1300', '#202081', '#690400', '#457A7A', '#1B1B1B', '#7A7A7A'],
+        glyphs: {mine: MINE_GLYPH, flag: FLAG_GLYPH, question: '?'},
+        font: 'bold 12px serif',
+        bevel: "raised",
+    }),
+    dark: Object.freeze({
+        name: "Dark",
+        palette: {
+            grid: "#15171C", hiddenCell: "#3A3F4B", revealedCell: "#23262E", highlight: "#555B69", shade: "#1B1E24",
+            text: "#E6E6E6", correctMark: "#1E6B2E", wrongMark: "#8A1F1F", cursor: "#6CB4FF",
+            hintSafe: "#4CD964", hintMine: "#FF5C5C", hintGuess: "#FFB347",
+        },
+        numberColors: ['', '#6CB4FF', '#7BD88F', '#FF7B72', '#B392F0', '#FFAB70', '#56D4DD', '#E6E6E6', '#9DA5B4'],
+        glyphs: {mine: MINE_GLYPH, flag: FLAG_GLYPH, question: '?'},
+        font: 'bold 12px sans-serif',
+        bevel: "raised",
+    }),
+    highContrast: Object.freeze({
+        name: "High contrast",
+        palette: {
+            grid: "#FFFF00", hiddenCell: "#000000", revealedCell: "#FFFFFF", highlight: "#000000", shade: "#000000",
+            text: "#FFFFFF", correctMark: "#00C000", wrongMark: "#FF0000", cursor: "#FF00FF",
+            hintSafe: "#00C000", hintMine: "#FF0000", hintGuess: "#FF8C00",
+        },
+        numberColors: ['', '#0000FF', '#006400', '#C00000', '#000080', '#800000', '#006060', '#000000', '#404040'],
+        glyphs: {mine: MINE_GLYPH, flag: FLAG_GLYPH, question: '?'},
+        font: 'bold 14px sans-serif',
+        bevel: "flat",
+    }),
+    colorBlind: Object.freeze({
+        // the Okabe-Ito palette, whose colours stay distinguishable with the common forms of colour blindness
+        name: "Colour-blind safe",
+        palette: {
+            grid: "#CCCCCC", hiddenCell: "#C0C0C0", revealedCell: "#C0C0C0", highlight: "#FFFFFF", shade: "#7B7B7B",
+            text: "#000000", correctMark: "#56B4E9", wrongMark: "#E69F00", cursor: "#000000",
+            hintSafe: "#0072B2", hintMine: "#D55E00", hintGuess: "#CC79A7",
+        },
+        numberColors: ['', '#0072B2', '#009E73', '#D55E00', '#000000', '#CC79A7', '#56B4E9', '#E69F00', '#666666'],
+        glyphs: {mine: MINE_GLYPH, flag: FLAG_GLYPH, question: '?'},
+        font: 'bold 12px serif',
+        bevel: "raised",
+    }),
+});
+
+/**
+ * looks up a theme
+ * @param key - key of a THEMES entry
+ * @returns {object} the theme, or the default theme if there is no theme with that key
+ */
+function themeByKey(key) {
+    return THEMES[key] || THEMES[DEFAULT_THEME];
+}
+
+/**
+ * loads the key of the theme saved in localStorage
+ * @returns {string} the key of the selected theme, or of the default theme if none was saved
+ */
+function loadTheme() {
+    try {
+        const key = window.localStorage.getItem(STORAGE_KEY);
+        return THEMES[key] ? key : DEFAULT_THEME;
+    } catch (e) {
+        console.error("could not load the theme", e);
+        return DEFAULT_THEME;
+    }
+}
+
+/**
+ * saves the key of the selected theme to localStorage
+ * @param key - key of a THEMES entry
+ */
+function saveTheme(key) {
+    try {
+        window.localStorage.setItem(STORAGE_KEY, key);
+    } catch (e) {
+        console.error("could not save the theme", e);
+    }
+}
+
+export {THEMES, DEFAULT_THEME, themeByKey, loadTheme, saveTheme};
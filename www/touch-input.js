@@ -0,0 +1,212 @@
+/**
+ * Touch (and pen) input for the minesweeper canvas, built on Pointer Events. Recognizes these gestures:
+ *      tap         - a short touch that doesn't move
+ *      long press  - a touch held still for LONG_PRESS_MS
+ *      pinch       - two touches moving apart or together, zooms the canvas
+ *      pan         - one touch dragging, moves a zoomed canvas within its viewport and scrolls the viewport once
+ *                    the canvas reaches its edge (or straight away when the canvas isn't zoomed)
+ * Zooming and panning are applied as a CSS transform on the canvas, so hit-testing that uses the canvas'
+ * getBoundingClientRect stays correct at any scale. Mouse pointers are ignored, they are handled by the canvas view.
+ */
+
+const LONG_PRESS_MS     = 500;                  // how long a touch must be held to become a long press
+const MOVE_TOLERANCE    = 10;                   // how far (in css px) a touch can move and still be a tap/long press
+const MIN_ZOOM          = 1;
+const MAX_ZOOM          = 4;
+
+class TouchInput {
+
+    /**
+     * @param canvas - the canvas element receiving touches, it must be wrapped in a viewport element that clips it
+     *                 and scrolls when the canvas is larger than the viewport
+     * @param callbacks.onTap - called with the tap's pointer event
+     * @param callbacks.onLongPress - called with the long press' pointer event
+     */
+    constructor(canvas, {onTap, onLongPress}) {
+        this.canvas = canvas;
+        this.onTap = onTap;
+        this.onLongPress = onLongPress;
+
+        // active touch pointers, by pointerId
+        this.pointers = new Map();
+        this.gesture = undefined;
+        this.longPressTimer = undefined;
+        this.zoom = MIN_ZOOM;
+        this.offsetX = 0;
+        this.offsetY = 0;
+
+        // the browser must not pan or zoom the page for touches on the canvas, the gestures are handled here
+        canvas.style.touchAction = "none";
+        canvas.style.transformOrigin = "0 0";
+
+        this.pointerDownListener = this.pointerDownListener.bind(this);
+        this.pointerMoveListener = this.pointerMoveListener.bind(this);
+        this.pointerUpListener = this.pointerUpListener.bind(this);
+        this.pointerCancelListener = this.pointerCancelListener.bind(this);
+        canvas.addEventListener("pointerdown", this.pointerDownListener);
+        canvas.addEventListener("pointermove", this.pointerMoveListener);
+        canvas.addEventListener("pointerup", this.pointerUpListener);
+        canvas.addEventListener("pointercancel", this.pointerCancelListener);
+    }
+
+    /**
+     * starts tracking a touch. The first touch may become a tap, long press or pan, a second touch starts a pinch
+     * @param event - pointerdown event
+     */
+    pointerDownListener(event) {
+        if (event.pointerType === "mouse") return;
+        // cancelling pointerdown stops the browser from also sending compatibility mouse events for the touch
+        event.preventDefault();
+        this.canvas.setPointerCapture(event.pointerId);
+        this.pointers.set(event.pointerId, {
+            x: event.clientX, y: event.clientY, startX: event.clientX, startY: event.clientY
+        });
+
+        if (this.pointers.size === 1) {
+            this.gesture = {type: "press"};
+            this.longPressTimer = setTimeout(() => {
+                this.gesture = {type: "longPress"};
+                this.onLongPress(event);
+            }, LONG_PRESS_MS);
+        } else if (this.pointers.size === 2) {
+            this.cancelLongPress();
+            const [a, b] = [...this.pointers.values()];
+            this.gesture = {type: "pinch", startDistance: distance(a, b), startZoom: this.zoom};
+        }
+    }
+
+    /**
+     * updates a tracked touch, zooming or panning the canvas when the touches form a pinch or pan
+     * @param event - pointermove event
+     */
+    pointerMoveListener(event) {
+        const pointer = this.pointers.get(event.pointerId);
+        if (!pointer) return;
+        const dx = event.clientX - pointer.x;
+        const dy = event.clientY - pointer.y;
+        pointer.x = event.clientX;
+        pointer.y = event.clientY;
+
+        if (this.gesture.type === "press" && distance({x: pointer.startX, y: pointer.startY}, pointer) > MOVE_TOLERANCE) {
+            // the touch moved too far to be a tap or long press, so it becomes a pan
+            this.cancelLongPress();
+            this.gesture = {type: "pan"};
+        }
+        if (this.gesture.type === "pan") {
+            this.pan(dx, dy);
+        } else if (this.gesture.type === "pinch" && this.pointers.size === 2) {
+            const [a, b] = [...this.pointers.values()];
+            const zoom = this.gesture.startZoom * distance(a, b) / this.gesture.startDistance;
+            this.zoomAround(zoom, (a.x + b.x) / 2, (a.y + b.y) / 2);
+        }
+    }
+
+    /**
+     * stops tracking a touch, and reports a tap if the touch was short and didn't move
+     * @param event - pointerup event
+     */
+    pointerUpListener(event) {
+        if (!this.pointers.has(event.pointerId)) return;
+        this.pointers.delete(event.pointerId);
+        if (this.gesture.type === "press") {
+            this.cancelLongPress();
+            this.onTap(event);
+        }
+        if (this.pointers.size === 0) {
+            this.gesture = undefined;
+        } else if (this.gesture.type === "pinch") {
+            // lifting one finger of a pinch continues as a pan with the other one
+            this.gesture = {type: "pan"};
+        }
+    }
+
+    /**
+     * stops tracking a touch that was cancelled by the browser, without reporting a tap
+     * @param event - pointercancel event
+     */
+    pointerCancelListener(event) {
+        if (!this.pointers.has(event.pointerId)) return;
+        this.pointers.delete(event.pointerId);
+        this.cancelLongPress();
+        this.gesture = this.pointers.size === 0 ? undefined : {type: "pan"};
+    }
+
+    /**
+     * stops the long press timer (if it is running)
+     */
+    cancelLongPress() {
+        clearTimeout(this.longPressTimer);
+        this.longPressTimer = undefined;
+    }
+
+    /**
+     * zooms the canvas, keeping the point at clientX, clientY in the same place on the screen
+     * @param zoom - the new zoom level, clamped between MIN_ZOOM and MAX_ZOOM
+     */
+    zoomAround(zoom, clientX, clientY) {
+        zoom = Math.min(Math.max(zoom, MIN_ZOOM), MAX_ZOOM);
+        const rect = this.canvas.getBoundingClientRect();
+        // position of the point relative to the untransformed canvas
+        const x = (clientX - rect.left) / this.zoom;
+        const y = (clientY - rect.top) / this.zoom;
+        this.setTransform(zoom, this.offsetX - x * (zoom - this.zoom), this.offsetY - y * (zoom - this.zoom));
+    }
+
+    /**
+     * pans the canvas by the movement of a touch. The part of the movement that would pan the zoomed canvas past its
+     * edges scrolls the viewport instead, so boards larger than the screen can be scrolled with one finger (the
+     * browser doesn't scroll for touches on the canvas)
+     * @param dx - horizontal movement of the touch, in css px
+     * @param dy - vertical movement of the touch, in css px
+     */
+    pan(dx, dy) {
+        const offsetX = this.offsetX + dx;
+        const offsetY = this.offsetY + dy;
+        this.setTransform(this.zoom, offsetX, offsetY);
+        const viewport = this.canvas.parentElement;
+        viewport.scrollLeft -= offsetX - this.offsetX;
+        viewport.scrollTop -= offsetY - this.offsetY;
+    }
+
+    /**
+     * applies a zoom level and offset to the canvas. The offset is clamped so that the zoomed canvas always covers
+     * its un-zoomed area, i.e. the board can't be panned out of view
+     */
+    setTransform(zoom, offsetX, offsetY) {
+        const width = this.canvas.offsetWidth;
+        const height = this.canvas.offsetHeight;
+        this.zoom = zoom;
+        this.offsetX = Math.min(Math.max(offsetX, width - width * zoom), 0);
+        this.offsetY = Math.min(Math.max(offsetY, height - height * zoom), 0);
+        this.canvas.style.transform = this.zoom === MIN_ZOOM
+            ? ""
+            : `translate(${this.offsetX}px, ${this.offsetY}px) scale(${this.zoom})`;
+    }
+
+    /**
+     * resets the canvas to its un-zoomed size and position
+     */
+    resetZoom() {
+        this.setTransform(MIN_ZOOM, 0, 0);
+    }
+
+    /**
+     * stops listening to the canvas
+     */
+    dispose() {
+        this.cancelLongPress();
+        this.canvas.removeEventListener("pointerdown", this.pointerDownListener);
+        this.canvas.removeEventListener("pointermove", this.pointerMoveListener);
+        this.canvas.removeEventListener("pointerup", this.pointerUpListener);
+        this.canvas.removeEventListener("pointercancel", this.pointerCancelListener);
+    }
+}
+
+/**
+ * distance between two points with x, y properties
+ */
+function distance(a, b) {
+    return Math.hypot(a.x - b.x, a.y - b.y);
+}
+
+export {TouchInput};
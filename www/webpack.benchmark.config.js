@@ -0,0 +1,12 @@
+const path = require('path');
+
+// builds the bot benchmark (see benchmark.js) into a script that runs in Node, `npm run benchmark` builds and runs it
+module.exports = {
+  entry: "./benchmark-bootstrap.js",
+  target: "node",
+  output: {
+    path: path.resolve(__dirname, "benchmark-dist"),
+    filename: "benchmark.js",
+  },
+  mode: "production",
+};
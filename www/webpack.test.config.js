@@ -0,0 +1,16 @@
+const path = require('path');
+
+// builds the tests (see tests/index.js) into a script that runs in Node, `npm test` builds and runs it
+module.exports = {
+  entry: "./test-bootstrap.js",
+  target: "node",
+  output: {
+    path: path.resolve(__dirname, "test-dist"),
+    filename: "tests.js",
+  },
+  // the tests run with Node's built-in test runner, which webpack 4 does not know as a Node module
+  externals: {
+    "node:test": "commonjs node:test",
+  },
+  mode: "development",
+};